@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// Offline admin tool for the vouch database. It reuses the bot's helpers from
+// index.js without logging in to Discord, so it works on the live database
+// (even while the bot runs) or on a local copy of a backup.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const USAGE = `Usage: node cli.js [--db <path>] <command> [arguments]
+       npm run admin -- [--db <path>] <command> [arguments]
+
+Commands:
+  guilds                                          List servers with their balances and pending vouches
+  balances <guild> [--search <text>] [--limit N]  List balances, optionally matching a user ID or name
+  points <guild> <user> [--limit N]               Show a balance and its latest ledger entries
+  adjust <guild> <user> <delta> --reason <text>   Add (positive) or remove (negative) points
+  merge <guild> <fromUser> <toUser> [--reason <text>] --yes
+                                                  Move one user's whole balance onto another
+  pending list <guild> [--limit N]                List unresolved pending vouches, oldest first
+  pending show <guild> <id>                       Show one pending vouch
+  pending approve <guild> <id> <provider> [--weight N]
+                                                  Award a pending vouch to a provider
+  pending purge <guild> [--id N] [--older-than-days N] --yes
+                                                  Delete unresolved pending vouches
+  settings list <guild>                           Show a server's settings
+  settings get <guild> <key>
+  settings set <guild> <key> <value>
+  settings delete <guild> <key>
+
+Options:
+  --db <path>   Database file to open (default: DB_PATH, then the bot's default location)
+  --help        Show this help
+
+Every change is recorded in the audit log as made by the admin CLI. The schema
+is upgraded to the current version on open, as the bot does; work on a copy if
+a backup must stay untouched.`;
+
+class UsageError extends Error {}
+
+// parseArgs would read a negative delta such as -5 as an unknown option, so
+// negative numbers are masked while parsing and restored afterwards.
+const NEGATIVE_NUMBER = /^-\d+$/;
+const MINUS_MASK = '\u2212';
+const unmask = (value) => (typeof value === 'string' && value.startsWith(MINUS_MASK) ? `-${value.slice(1)}` : value);
+const parsed = parseArgs({
+    args: process.argv.slice(2).map((arg) => (NEGATIVE_NUMBER.test(arg) ? `${MINUS_MASK}${arg.slice(1)}` : arg)),
+    allowPositionals: true,
+    options: {
+        db: { type: 'string' },
+        search: { type: 'string' },
+        limit: { type: 'string' },
+        reason: { type: 'string' },
+        weight: { type: 'string' },
+        id: { type: 'string' },
+        'older-than-days': { type: 'string' },
+        yes: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+    }
+});
+const options = Object.fromEntries(Object.entries(parsed.values).map(([name, value]) => [name, unmask(value)]));
+const positionals = parsed.positionals.map(unmask);
+
+if (options.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (options.db) {
+    process.env.DB_PATH = path.resolve(options.db);
+}
+// index.js creates a missing database file, which would hide a typo in the path.
+if (process.env.DB_PATH && !fs.existsSync(process.env.DB_PATH)) {
+    console.error(`Database file not found: ${process.env.DB_PATH}`);
+    process.exit(1);
+}
+
+const bot = require('./index');
+
+// Offline there is no Discord client for leaderboards or reward roles, and a
+// copied database must not send its changes to the live webhooks.
+bot.pointEvents.removeAllListeners('balanceChanged');
+
+const CLI_NOTE = 'via the admin CLI';
+
+function requireArgs(args, names) {
+    if (args.length < names.length) {
+        throw new UsageError(`Missing ${names.slice(args.length).map((name) => `<${name}>`).join(' ')}.`);
+    }
+    return args;
+}
+
+function readInteger(value, name, { min = -Infinity } = {}) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new UsageError(`${name} must be a whole number${min > -Infinity ? ` of at least ${min}` : ''}.`);
+    }
+    return number;
+}
+
+function readLimit(fallback) {
+    return options.limit === undefined ? fallback : readInteger(options.limit, '--limit', { min: 1 });
+}
+
+function requireConfirmation(summary) {
+    if (options.yes) return true;
+    console.log(`${summary}\nRe-run with --yes to apply.`);
+    return false;
+}
+
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log('(none)');
+        return;
+    }
+    const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => String(row[column] ?? '').length)));
+    const line = (cells) => cells.map((cell, index) => String(cell ?? '').padEnd(widths[index])).join('  ').trimEnd();
+    console.log(line(columns));
+    console.log(line(widths.map((width) => '-'.repeat(width))));
+    for (const row of rows) console.log(line(columns.map((column) => row[column])));
+}
+
+async function showGuilds() {
+    const version = await bot.readSchemaVersion();
+    console.log(`Database: ${bot.db.filename} (schema version ${version} of ${bot.LATEST_SCHEMA_VERSION})`);
+    printTable(await bot.listGuildSummaries(), ['guild_id', 'balances', 'points', 'pending']);
+}
+
+async function showBalances(args) {
+    const [guildId] = requireArgs(args, ['guild']);
+    printTable(await bot.listBalances(guildId, { search: options.search ?? null, limit: readLimit(25) }), ['user_id', 'username', 'points', 'last_updated']);
+}
+
+async function showPoints(args) {
+    const [guildId, userId] = requireArgs(args, ['guild', 'user']);
+    console.log(`${userId} has ${await bot.getUserPoints(guildId, userId)} points.`);
+    const entries = await bot.listLedgerEntries(guildId, userId, readLimit(10), 0);
+    printTable(
+        entries.map((entry) => ({
+            ...entry,
+            reason: bot.LEDGER_REASON_LABELS[entry.reason] || entry.reason,
+            change: `${entry.balance_before} -> ${entry.balance_after}`
+        })),
+        ['id', 'created_at', 'delta', 'change', 'reason', 'actor_id']
+    );
+}
+
+async function adjustPoints(args) {
+    const [guildId, userId, rawDelta] = requireArgs(args, ['guild', 'user', 'delta']);
+    const delta = readInteger(rawDelta, '<delta>');
+    if (delta === 0) throw new UsageError('<delta> must not be zero.');
+    if (!options.reason) throw new UsageError('--reason is required when adjusting points.');
+
+    const change = await bot.adjustBalance(guildId, userId, null, delta, { reason: delta > 0 ? 'admin_add' : 'admin_remove' });
+    await bot.recordAuditEvent(guildId, {
+        action: delta > 0 ? 'points_added' : 'points_removed',
+        targetId: userId,
+        amount: change.delta,
+        before: change.before,
+        after: change.after,
+        details: `${options.reason} (${CLI_NOTE})`
+    });
+    console.log(`${userId}: ${change.before} -> ${change.after} (${change.delta >= 0 ? '+' : ''}${change.delta}).`);
+}
+
+async function mergeBalances(args) {
+    const [guildId, fromUserId, toUserId] = requireArgs(args, ['guild', 'fromUser', 'toUser']);
+    if (fromUserId === toUserId) throw new UsageError('<fromUser> and <toUser> must differ.');
+    const fromPoints = await bot.getUserPoints(guildId, fromUserId);
+    const toPoints = await bot.getUserPoints(guildId, toUserId);
+    if (fromPoints === 0) {
+        console.log(`${fromUserId} has no points to merge.`);
+        return;
+    }
+    if (!requireConfirmation(`Move ${fromPoints} points from ${fromUserId} to ${toUserId} (${toPoints} -> ${toPoints + fromPoints}).`)) return;
+
+    const result = await bot.mergeUserBalances(guildId, fromUserId, toUserId);
+    await bot.recordAuditEvent(guildId, {
+        action: 'balances_merged',
+        targetId: toUserId,
+        amount: result.moved,
+        before: result.to?.before ?? null,
+        after: result.to?.after ?? null,
+        details: `Merged the balance of <@${fromUserId}>${options.reason ? `: ${options.reason}` : ''} (${CLI_NOTE})`
+    });
+    console.log(`Moved ${result.moved} points from ${fromUserId} to ${toUserId}. ${toUserId} now has ${result.to?.after ?? toPoints} points.`);
+}
+
+function describePending(entry) {
+    const lines = [
+        `#${entry.id} by ${entry.voucher_tag || entry.voucher_id} (${entry.voucher_id}) at ${entry.created_at}`,
+        `  message: ${entry.channel_id}/${entry.message_id}`
+    ];
+    if (entry.status) lines.push(`  status: ${entry.status}${entry.provider_id ? ` (provider ${entry.provider_id})` : ''}`);
+    if (entry.message_content) lines.push(`  text: ${entry.message_content.replace(/\s+/g, ' ').slice(0, 200)}`);
+    for (const attachment of entry.attachments) lines.push(`  image: ${attachment.url}`);
+    return lines.join('\n');
+}
+
+async function handlePending(args) {
+    const [action, ...rest] = requireArgs(args, ['list|show|approve|purge']);
+    switch (action) {
+        case 'list': {
+            const [guildId] = requireArgs(rest, ['guild']);
+            const entries = await bot.listPendingVouches(guildId, readLimit(25));
+            console.log(entries.length ? entries.map(describePending).join('\n') : '(none)');
+            return;
+        }
+        case 'show': {
+            const [guildId, rawId] = requireArgs(rest, ['guild', 'id']);
+            const entry = await bot.getPendingVouchById(guildId, readInteger(rawId, '<id>', { min: 1 }));
+            if (!entry) throw new Error(`No pending vouch #${rawId} in guild ${guildId}.`);
+            console.log(describePending(entry));
+            return;
+        }
+        case 'approve': {
+            const [guildId, rawId, providerId] = requireArgs(rest, ['guild', 'id', 'provider']);
+            const pending = await bot.getPendingVouchById(guildId, readInteger(rawId, '<id>', { min: 1 }));
+            if (!pending) throw new Error(`No pending vouch #${rawId} in guild ${guildId}.`);
+            const weight = options.weight === undefined ? 1 : readInteger(options.weight, '--weight', { min: 1 });
+            const result = await bot.claimPendingVouch(guildId, pending, { id: providerId, tag: null, name: null, weight }, null);
+            if (result.error) throw new Error(result.error);
+            await bot.recordAuditEvent(guildId, {
+                action: 'vouch_approved',
+                targetId: providerId,
+                amount: result.awarded,
+                before: result.before,
+                after: result.total,
+                details: `Pending vouch #${pending.id} (${CLI_NOTE}).`,
+                channelId: pending.channel_id,
+                messageId: pending.message_id
+            });
+            console.log(`Approved pending vouch #${pending.id} for ${providerId}: +${result.awarded} (x${result.multiplier}), new total ${result.total}.`);
+            console.log('The pending notice in Discord is not updated until a moderator touches it.');
+            return;
+        }
+        case 'purge': {
+            const [guildId] = requireArgs(rest, ['guild']);
+            const id = options.id === undefined ? null : readInteger(options.id, '--id', { min: 1 });
+            const olderThanDays = options['older-than-days'] === undefined
+                ? null
+                : readInteger(options['older-than-days'], '--older-than-days', { min: 0 });
+            const scope = id !== null
+                ? `pending vouch #${id}`
+                : olderThanDays !== null ? `every pending vouch older than ${olderThanDays} days` : 'every pending vouch';
+            if (!requireConfirmation(`Delete ${scope} in guild ${guildId}.`)) return;
+            const deleted = await bot.purgePendingVouches(guildId, { id, olderThanDays });
+            if (deleted) {
+                await bot.recordAuditEvent(guildId, {
+                    action: 'pending_purged',
+                    subject: scope,
+                    details: `Deleted ${deleted} pending vouch${deleted === 1 ? '' : 'es'} (${CLI_NOTE}).`
+                });
+            }
+            console.log(`Deleted ${deleted} pending vouch${deleted === 1 ? '' : 'es'}.`);
+            return;
+        }
+        default:
+            throw new UsageError(`Unknown pending action "${action}".`);
+    }
+}
+
+async function handleSettings(args) {
+    const [action, guildId, key, value] = requireArgs(args, ['list|get|set|delete', 'guild']);
+    switch (action) {
+        case 'list':
+            printTable(await bot.listSettings(guildId), ['key', 'value']);
+            return;
+        case 'get': {
+            requireArgs(args, ['action', 'guild', 'key']);
+            const current = await bot.getSetting(guildId, key);
+            console.log(current === null ? `${key} is not set.` : current);
+            return;
+        }
+        case 'set': {
+            requireArgs(args, ['action', 'guild', 'key', 'value']);
+            const before = await bot.getSetting(guildId, key);
+            await bot.setSetting(guildId, key, value);
+            await bot.recordAuditEvent(guildId, { action: 'config_changed', subject: `Setting ${key}`, before, after: value, details: CLI_NOTE });
+            console.log(`${key}: ${before ?? '(unset)'} -> ${value}`);
+            return;
+        }
+        case 'delete': {
+            requireArgs(args, ['action', 'guild', 'key']);
+            const before = await bot.getSetting(guildId, key);
+            if (before === null) {
+                console.log(`${key} is not set.`);
+                return;
+            }
+            await bot.deleteSetting(guildId, key);
+            await bot.recordAuditEvent(guildId, { action: 'config_changed', subject: `Setting ${key}`, before, after: null, details: CLI_NOTE });
+            console.log(`${key} deleted (was ${before}).`);
+            return;
+        }
+        default:
+            throw new UsageError(`Unknown settings action "${action}".`);
+    }
+}
+
+const COMMANDS = {
+    guilds: showGuilds,
+    balances: showBalances,
+    points: showPoints,
+    adjust: adjustPoints,
+    merge: mergeBalances,
+    pending: handlePending,
+    settings: handleSettings
+};
+
+async function main() {
+    const [command, ...args] = positionals;
+    const handler = COMMANDS[command];
+    if (!handler) throw new UsageError(`Unknown command "${command}".`);
+    await bot.initializeDatabase();
+    await handler(args);
+}
+
+main()
+    .then(() => 0, (error) => {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`Error: ${error.message}`);
+        return 1;
+    })
+    .then((code) => {
+        bot.db.close(() => process.exit(code));
+    });
@@ -1,14 +1,35 @@
-const { Client, GatewayIntentBits, Partials, EmbedBuilder, REST, Routes, PermissionFlagsBits, Events } = require('discord.js');
+const {
+    Client,
+    GatewayIntentBits,
+    Partials,
+    EmbedBuilder,
+    REST,
+    Routes,
+    PermissionFlagsBits,
+    Events,
+    ChannelType,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    UserSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    SnowflakeUtil,
+    AttachmentBuilder
+} = require('discord.js');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
-if (!DISCORD_TOKEN) {
-    console.error('Missing DISCORD_TOKEN environment variable.');
-    process.exit(1);
-}
 
 const client = new Client({
     intents: [
@@ -17,7 +38,7 @@ const client = new Client({
         GatewayIntentBits.MessageContent,
         GatewayIntentBits.GuildMembers
     ],
-    partials: [Partials.Channel]
+    partials: [Partials.Channel, Partials.Message]
 });
 
 const dbPath = (() => {
@@ -35,125 +56,993 @@ try {
 }
 
 const db = new sqlite3.Database(dbPath);
+// cli.js may open the same file while the bot runs; wait out the other
+// process's write lock instead of failing with SQLITE_BUSY.
+db.configure('busyTimeout', 5000);
 
-db.serialize(() => {
-    db.run(`CREATE TABLE IF NOT EXISTS vouch_points (
-        user_id TEXT PRIMARY KEY,
-        username TEXT,
-        points INTEGER DEFAULT 0,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-    db.run(`CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL
-    )`);
-    db.run(`CREATE TABLE IF NOT EXISTS pending_vouches (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        guild_id TEXT,
-        channel_id TEXT,
-        message_id TEXT,
-        voucher_id TEXT,
-        voucher_tag TEXT,
-        message_content TEXT,
-        attachment_urls TEXT,
-        provider_id TEXT,
-        provider_tag TEXT,
-        approved INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        approved_at DATETIME
-    )`);
-});
+// Emits 'balanceChanged' once each changeUserBalance call has committed so that
+// Discord-facing features can react without the database helpers knowing about them.
+const pointEvents = new EventEmitter();
 
-function ensureVouchUsernameColumn() {
-    db.all('PRAGMA table_info(vouch_points)', (err, rows) => {
-        if (err) {
-            console.error('Failed to inspect vouch_points schema:', err);
-            return;
-        }
-        const hasUsername = rows.some((row) => String(row.name).toLowerCase() === 'username');
-        if (!hasUsername) {
-            db.run('ALTER TABLE vouch_points ADD COLUMN username TEXT', (alterErr) => {
-                if (alterErr) {
-                    console.error('Failed to add username column to vouch_points:', alterErr);
-                }
-            });
+function runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) { reject(err); return; }
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+// Every caller shares one connection, so a transaction opened by one async flow
+// would also swallow writes issued by any other flow until it commits. Writes
+// and transactions therefore take turns through this queue; code already
+// holding the lock (tracked per async context) runs straight through.
+const databaseLockContext = new AsyncLocalStorage();
+let databaseLockQueue = Promise.resolve();
+
+function withDatabaseLock(fn) {
+    if (databaseLockContext.getStore()?.active) return fn();
+    const run = databaseLockQueue.then(() => {
+        const store = { active: true, transaction: false, afterCommit: [] };
+        return databaseLockContext.run(store, async () => {
+            try {
+                return await fn();
+            } finally {
+                // Timers or promises started inside fn keep this store, so mark it
+                // spent or they would skip the queue later.
+                store.active = false;
+            }
+        });
+    });
+    databaseLockQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Runs `fn` inside one SQLite transaction: everything it writes commits together
+ * or not at all. Nested calls join the outer transaction. Callbacks registered
+ * with `afterCommit` run once the outermost transaction has committed.
+ */
+async function withTransaction(fn) {
+    const current = databaseLockContext.getStore();
+    if (current?.active && current.transaction) return fn();
+
+    let callbacks = [];
+    const result = await withDatabaseLock(async () => {
+        const store = databaseLockContext.getStore();
+        store.transaction = true;
+        await runStatement('BEGIN IMMEDIATE TRANSACTION');
+        try {
+            const value = await fn();
+            await runStatement('COMMIT');
+            callbacks = store.afterCommit.splice(0);
+            return value;
+        } catch (error) {
+            await runStatement('ROLLBACK').catch(() => {});
+            store.afterCommit = [];
+            throw error;
+        } finally {
+            store.transaction = false;
         }
     });
+    for (const callback of callbacks) {
+        callback();
+    }
+    return result;
+}
+
+function afterCommit(callback) {
+    const store = databaseLockContext.getStore();
+    if (store?.active && store.transaction) {
+        store.afterCommit.push(callback);
+        return;
+    }
+    callback();
 }
 
-ensureVouchUsernameColumn();
+function runAsync(sql, params = []) {
+    return withDatabaseLock(() => runStatement(sql, params));
+}
 
-function getSetting(key, fallback = null) {
+function getAsync(sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
+        db.get(sql, params, (err, row) => {
             if (err) { reject(err); return; }
-            if (!row) { resolve(fallback); return; }
-            resolve(row.value);
+            resolve(row || null);
         });
     });
 }
 
-function setSetting(key, value) {
+function allAsync(sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.run(
-            `INSERT INTO settings (key, value) VALUES (?, ?)
-             ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
-            [key, value],
-            (err) => {
-                if (err) { reject(err); return; }
-                resolve();
-            }
+        db.all(sql, params, (err, rows) => {
+            if (err) { reject(err); return; }
+            resolve(rows || []);
+        });
+    });
+}
+
+async function tableExists(table) {
+    const row = await getAsync(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return Boolean(row);
+}
+
+async function tableColumns(table) {
+    const rows = await allAsync(`PRAGMA table_info(${table})`);
+    return rows.map((row) => String(row.name).toLowerCase());
+}
+
+async function ensureColumn(table, column, definition) {
+    const columns = await tableColumns(table);
+    if (!columns.includes(column.toLowerCase())) {
+        await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Databases created before points were scoped per guild have a vouch_points table
+// keyed only by user_id and a single global settings table. Move them aside so the
+// guild-scoped tables can be created; their rows are merged into the home guild once
+// the client knows which guild that is (see migrateLegacyDataToGuild).
+async function setAsideLegacyGlobalTables() {
+    if (await tableExists('vouch_points')) {
+        const columns = await tableColumns('vouch_points');
+        if (!columns.includes('guild_id')) {
+            await ensureColumn('vouch_points', 'username', 'TEXT');
+            await runAsync('ALTER TABLE vouch_points RENAME TO legacy_vouch_points');
+            console.log('Moved global vouch_points table aside for per-guild migration.');
+        }
+    }
+    if (await tableExists('settings')) {
+        const columns = await tableColumns('settings');
+        if (!columns.includes('guild_id')) {
+            await runAsync('ALTER TABLE settings RENAME TO legacy_settings');
+            console.log('Moved global settings table aside for per-guild migration.');
+        }
+    }
+}
+
+/**
+ * Numbered schema migrations, applied in order inside a transaction each and
+ * recorded in `schema_version`. Never edit or renumber a released step; add a
+ * new one instead.
+ *
+ * Steps 1-10 describe the schema as it grew before versioning existed. Older
+ * databases may already have any of those tables or columns, so those steps
+ * check before creating anything. Later steps can rely on the previous version.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'per-guild balances and settings',
+        async up() {
+            await setAsideLegacyGlobalTables();
+            await runAsync(`CREATE TABLE IF NOT EXISTS vouch_points (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT,
+                points INTEGER DEFAULT 0,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, user_id)
+            )`);
+            await runAsync(`CREATE TABLE IF NOT EXISTS settings (
+                guild_id TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (guild_id, key)
+            )`);
+        }
+    },
+    {
+        version: 2,
+        name: 'pending vouch statuses and notices',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS pending_vouches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                channel_id TEXT,
+                message_id TEXT,
+                voucher_id TEXT,
+                voucher_tag TEXT,
+                message_content TEXT,
+                attachment_urls TEXT,
+                provider_id TEXT,
+                provider_tag TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                status_reason TEXT,
+                resolved_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME
+            )`);
+            await migratePendingVouchStatus();
+            await ensureColumn('pending_vouches', 'notice_channel_id', 'TEXT');
+            await ensureColumn('pending_vouches', 'notice_message_id', 'TEXT');
+        }
+    },
+    {
+        version: 3,
+        name: 'points ledger',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS points_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                delta INTEGER NOT NULL,
+                balance_before INTEGER NOT NULL,
+                balance_after INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                actor_id TEXT,
+                source_channel_id TEXT,
+                source_message_id TEXT,
+                pending_id INTEGER,
+                multiplier INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_points_ledger_user ON points_ledger (guild_id, user_id, id)');
+            await seedOpeningBalances();
+        }
+    },
+    {
+        version: 4,
+        name: 'vouch awards',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS vouches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                voucher_id TEXT,
+                provider_id TEXT NOT NULL,
+                points INTEGER NOT NULL,
+                multiplier INTEGER,
+                pending_id INTEGER,
+                attachment_urls TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reversed_at DATETIME,
+                UNIQUE (message_id, provider_id)
+            )`);
+            await linkLedgerAwardsToVouches();
+        }
+    },
+    {
+        version: 5,
+        name: 'vouch channel allowlists',
+        async up() {
+            if (await tableExists('vouch_channels')) return;
+            await runAsync(`CREATE TABLE vouch_channels (
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                added_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, channel_id)
+            )`);
+            await enableNameFallbackForExistingGuilds();
+        }
+    },
+    {
+        version: 6,
+        name: 'multiplier events',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS multiplier_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                name TEXT,
+                value INTEGER NOT NULL,
+                starts_at DATETIME NOT NULL,
+                ends_at DATETIME NOT NULL,
+                status TEXT NOT NULL DEFAULT 'scheduled',
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 7,
+        name: 'anti-abuse rules',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS vouch_image_hashes (
+                guild_id TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                channel_id TEXT,
+                message_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, hash, message_id)
+            )`);
+            await runAsync(`CREATE TABLE IF NOT EXISTS rejected_vouches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT,
+                message_id TEXT,
+                voucher_id TEXT,
+                voucher_tag TEXT,
+                provider_id TEXT,
+                pending_id INTEGER,
+                rule_id TEXT NOT NULL,
+                reason TEXT,
+                message_content TEXT,
+                attachment_urls TEXT,
+                status TEXT NOT NULL DEFAULT 'rejected',
+                reviewed_by TEXT,
+                reviewed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 8,
+        name: 'weighted provider roles',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS provider_roles (
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                weight INTEGER NOT NULL DEFAULT 1,
+                added_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, role_id)
+            )`);
+            await ensureColumn('vouches', 'weight', 'INTEGER NOT NULL DEFAULT 1');
+            await ensureColumn('points_ledger', 'weight', 'INTEGER');
+        }
+    },
+    {
+        version: 9,
+        name: 'reward tiers',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS reward_tiers (
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                threshold INTEGER NOT NULL,
+                message TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, role_id)
+            )`);
+        }
+    },
+    {
+        version: 10,
+        name: 'vouch ratings and reviews',
+        async up() {
+            await ensureColumn('vouches', 'rating', 'INTEGER');
+            await ensureColumn('vouches', 'review', 'TEXT');
+        }
+    },
+    {
+        version: 11,
+        name: 'audit log',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                actor_id TEXT,
+                target_id TEXT,
+                subject TEXT,
+                amount INTEGER,
+                before_value TEXT,
+                after_value TEXT,
+                details TEXT,
+                channel_id TEXT,
+                message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_audit_log_guild ON audit_log (guild_id, id)');
+        }
+    },
+    {
+        version: 12,
+        name: 'notification preferences',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS notification_preferences (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                dm_mode TEXT NOT NULL DEFAULT 'instant',
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, user_id)
+            )`);
+            await runAsync(`CREATE TABLE IF NOT EXISTS notification_digest (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                points INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 13,
+        name: 'disputes',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS disputes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                reporter_id TEXT NOT NULL,
+                reporter_tag TEXT,
+                provider_id TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                evidence_urls TEXT,
+                status TEXT NOT NULL DEFAULT 'open',
+                penalty INTEGER,
+                resolution_note TEXT,
+                resolved_by TEXT,
+                resolved_at DATETIME,
+                queue_channel_id TEXT,
+                queue_message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_disputes_provider ON disputes (guild_id, provider_id, status)');
+        }
+    },
+    {
+        version: 14,
+        name: 'webhooks',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                created_by TEXT,
+                last_status INTEGER,
+                last_error TEXT,
+                last_delivery_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 15,
+        name: 'points shop',
+        async up() {
+            await runAsync(`CREATE TABLE IF NOT EXISTS shop_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                kind TEXT NOT NULL,
+                cost INTEGER NOT NULL,
+                role_id TEXT,
+                duration_days INTEGER,
+                delivery_message TEXT,
+                stock INTEGER,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await runAsync(`CREATE TABLE IF NOT EXISTS redemptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                item_id INTEGER NOT NULL,
+                user_id TEXT NOT NULL,
+                item_name TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                cost INTEGER NOT NULL,
+                role_id TEXT,
+                status TEXT NOT NULL,
+                expires_at DATETIME,
+                resolved_by TEXT,
+                resolved_at DATETIME,
+                note TEXT,
+                queue_channel_id TEXT,
+                queue_message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_redemptions_status ON redemptions (status, expires_at)');
+        }
+    },
+    {
+        version: 16,
+        name: 'shop role ownership',
+        async up() {
+            // Only roles the shop actually added are taken away again. Role
+            // rewards redeemed before this was tracked are assumed to be ours.
+            await runAsync('ALTER TABLE redemptions ADD COLUMN role_added INTEGER NOT NULL DEFAULT 0');
+            await runAsync("UPDATE redemptions SET role_added = 1 WHERE kind = 'role' AND status = 'active'");
+        }
+    }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function readSchemaVersion(database = db) {
+    return new Promise((resolve, reject) => {
+        database.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`, [], (err, table) => {
+            if (err) { reject(err); return; }
+            if (!table) { resolve(0); return; }
+            database.get('SELECT MAX(version) AS version FROM schema_version', [], (versionErr, row) => {
+                if (versionErr) { reject(versionErr); return; }
+                resolve(row?.version || 0);
+            });
+        });
+    });
+}
+
+/**
+ * Brings the database up to LATEST_SCHEMA_VERSION. Each step and its
+ * schema_version row commit together, so a failed step leaves the database at
+ * the previous version. Refuses databases written by a newer build.
+ */
+async function runMigrations() {
+    await runAsync(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    const current = await readSchemaVersion();
+    if (current > LATEST_SCHEMA_VERSION) {
+        throw new Error(
+            `The database is at schema version ${current}, but this build only knows up to ${LATEST_SCHEMA_VERSION}. ` +
+            'Upgrade the bot or restore an older backup.'
+        );
+    }
+
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current) continue;
+        try {
+            await withTransaction(async () => {
+                await migration.up();
+                await runAsync('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            });
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+        applied.push(migration);
+    }
+    return { from: current, to: Math.max(current, LATEST_SCHEMA_VERSION), applied };
+}
+
+async function initializeDatabase() {
+    const result = await runMigrations();
+    if (result.applied.length) {
+        console.log(`Migrated the database from schema version ${result.from} to ${result.to}: ${result.applied.map((step) => step.name).join(', ')}.`);
+    }
+}
+
+// Pending vouches used to carry an `approved` flag. Replace it with a status
+// ('pending', 'approved', 'rejected' or 'expired') plus who resolved it and why.
+async function migratePendingVouchStatus() {
+    const columns = await tableColumns('pending_vouches');
+    if (columns.includes('status')) return;
+
+    await runAsync(`ALTER TABLE pending_vouches ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'`);
+    await runAsync('ALTER TABLE pending_vouches ADD COLUMN status_reason TEXT');
+    await runAsync('ALTER TABLE pending_vouches ADD COLUMN resolved_by TEXT');
+    await runAsync(`UPDATE pending_vouches SET status = 'approved', resolved_by = provider_id WHERE approved = 1`);
+    await runAsync('ALTER TABLE pending_vouches RENAME COLUMN approved_at TO resolved_at');
+    await runAsync('ALTER TABLE pending_vouches DROP COLUMN approved');
+}
+
+// Before channel allowlists existed every guild relied on the "vouch" name match.
+// Keep it switched on for guilds that already have data so they don't silently
+// stop tracking; new guilds start with the fallback off.
+function enableNameFallbackForExistingGuilds() {
+    return runAsync(
+        `INSERT INTO settings (guild_id, key, value)
+         SELECT guild_id, 'vouch_name_fallback', 'on'
+         FROM (
+             SELECT guild_id FROM vouch_points
+             UNION SELECT guild_id FROM pending_vouches WHERE guild_id IS NOT NULL
+             UNION SELECT guild_id FROM points_ledger
+         )
+         WHERE true
+         ON CONFLICT(guild_id, key) DO NOTHING`
+    );
+}
+
+// Awards recorded in the ledger before the vouches table existed still carry
+// their source message, so link them up to make them reversible too.
+function linkLedgerAwardsToVouches() {
+    return runAsync(
+        `INSERT OR IGNORE INTO vouches (
+            guild_id, channel_id, message_id, voucher_id, provider_id,
+            points, multiplier, pending_id, created_at
+        )
+        SELECT l.guild_id, l.source_channel_id, l.source_message_id,
+               CASE WHEN l.reason = 'vouch' THEN l.actor_id ELSE p.voucher_id END,
+               l.user_id, l.delta, l.multiplier, l.pending_id, l.created_at
+        FROM points_ledger l
+        LEFT JOIN pending_vouches p ON p.id = l.pending_id
+        WHERE l.reason IN ('vouch', 'pending_approval')
+          AND l.source_channel_id IS NOT NULL
+          AND l.source_message_id IS NOT NULL`
+    );
+}
+
+// Balances that predate the ledger get a single opening entry so that every
+// stored balance can be rebuilt from the ledger alone.
+function seedOpeningBalances() {
+    return runAsync(
+        `INSERT INTO points_ledger (guild_id, user_id, delta, balance_before, balance_after, reason)
+         SELECT v.guild_id, v.user_id, v.points, 0, v.points, 'opening_balance'
+         FROM vouch_points v
+         WHERE v.points <> 0
+           AND NOT EXISTS (
+               SELECT 1 FROM points_ledger l
+               WHERE l.guild_id = v.guild_id AND l.user_id = v.user_id
+           )`
+    );
+}
+
+async function hasLegacyGlobalData() {
+    return (await tableExists('legacy_vouch_points')) || (await tableExists('legacy_settings'));
+}
+
+async function migrateLegacyDataToGuild(guildId) {
+    const hasPoints = await tableExists('legacy_vouch_points');
+    const hasSettings = await tableExists('legacy_settings');
+    if (!hasPoints && !hasSettings) return false;
+
+    await withTransaction(async () => {
+        if (hasPoints) {
+            await runAsync(
+                `INSERT INTO points_ledger (guild_id, user_id, delta, balance_before, balance_after, reason)
+                 SELECT ?, l.user_id, l.points, COALESCE(v.points, 0), COALESCE(v.points, 0) + l.points, 'legacy_import'
+                 FROM legacy_vouch_points l
+                 LEFT JOIN vouch_points v ON v.guild_id = ? AND v.user_id = l.user_id
+                 WHERE l.points <> 0`,
+                [guildId, guildId]
+            );
+            await runAsync(
+                `INSERT INTO vouch_points (guild_id, user_id, username, points, last_updated)
+                 SELECT ?, user_id, username, points, last_updated FROM legacy_vouch_points WHERE true
+                 ON CONFLICT(guild_id, user_id) DO UPDATE SET
+                    points = vouch_points.points + excluded.points,
+                    username = COALESCE(vouch_points.username, excluded.username)`,
+                [guildId]
+            );
+            await runAsync('DROP TABLE legacy_vouch_points');
+        }
+        if (hasSettings) {
+            await runAsync(
+                `INSERT INTO settings (guild_id, key, value)
+                 SELECT ?, key, value FROM legacy_settings WHERE true
+                 ON CONFLICT(guild_id, key) DO NOTHING`,
+                [guildId]
+            );
+            await runAsync('DROP TABLE legacy_settings');
+        }
+        await runAsync('UPDATE pending_vouches SET guild_id = ? WHERE guild_id IS NULL', [guildId]);
+        await runAsync(
+            `INSERT INTO settings (guild_id, key, value) VALUES (?, 'vouch_name_fallback', 'on')
+             ON CONFLICT(guild_id, key) DO NOTHING`,
+            [guildId]
         );
     });
+    return true;
+}
+
+function getSetting(guildId, key, fallback = null) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT value FROM settings WHERE guild_id = ? AND key = ?', [guildId, key], (err, row) => {
+            if (err) { reject(err); return; }
+            if (!row) { resolve(fallback); return; }
+            resolve(row.value);
+        });
+    });
+}
+
+function listSettings(guildId) {
+    return allAsync('SELECT key, value FROM settings WHERE guild_id = ? ORDER BY key', [guildId]);
+}
+
+function deleteSetting(guildId, key) {
+    return runAsync('DELETE FROM settings WHERE guild_id = ? AND key = ?', [guildId, key]);
+}
+
+async function setSetting(guildId, key, value) {
+    await runAsync(
+        `INSERT INTO settings (guild_id, key, value) VALUES (?, ?, ?)
+         ON CONFLICT(guild_id, key) DO UPDATE SET value = excluded.value`,
+        [guildId, key, value]
+    );
 }
 
-async function getMultiplier() {
-    const raw = await getSetting('multiplier', '1');
+async function getBaseMultiplier(guildId) {
+    const raw = await getSetting(guildId, 'multiplier', '1');
     const numeric = Number(raw);
     if (!Number.isFinite(numeric) || numeric < 1) {
-        await setMultiplier(1);
+        await setMultiplier(guildId, 1);
         return 1;
     }
     return Math.floor(numeric);
 }
 
-async function setMultiplier(value) {
+async function setMultiplier(guildId, value) {
     const safe = Math.max(1, Math.floor(Number(value) || 1));
-    await setSetting('multiplier', String(safe));
+    await setSetting(guildId, 'multiplier', String(safe));
     return safe;
 }
 
-function getUserPoints(userId) {
+/**
+ * The multiplier awards use right now: the highest of the base multiplier and
+ * every multiplier event currently running, so overlapping events never stack.
+ */
+async function getMultiplier(guildId) {
+    const base = await getBaseMultiplier(guildId);
+    const active = await listActiveMultiplierEvents(guildId);
+    return active.reduce((highest, event) => Math.max(highest, event.value), base);
+}
+
+/**
+ * The base multiplier in effect at `at`, read back from the audit log: the
+ * first base multiplier change after that moment records what it replaced.
+ * Changes made before the audit log existed are unknown, so without a later
+ * change the current base is used.
+ */
+async function getBaseMultiplierAt(guildId, at) {
+    const row = await getAsync(
+        `SELECT before_value FROM audit_log
+         WHERE guild_id = ? AND action = 'multiplier_changed' AND created_at > ?
+         ORDER BY id ASC
+         LIMIT 1`,
+        [guildId, toSqliteTimestamp(at)]
+    );
+    const numeric = Number(row?.before_value);
+    if (!Number.isFinite(numeric) || numeric < 1) return getBaseMultiplier(guildId);
+    return Math.floor(numeric);
+}
+
+// Events that were cancelled never count here, even for the time they ran.
+async function getMultiplierAt(guildId, at) {
+    const base = await getBaseMultiplierAt(guildId, at);
+    const timestamp = toSqliteTimestamp(at);
+    const row = await getAsync(
+        `SELECT MAX(value) AS value FROM multiplier_events
+         WHERE guild_id = ? AND status != 'cancelled' AND starts_at <= ? AND ends_at > ?`,
+        [guildId, timestamp, timestamp]
+    );
+    return Math.max(base, row?.value || 0);
+}
+
+function createMultiplierEvent(entry) {
+    return runAsync(
+        `INSERT INTO multiplier_events (guild_id, name, value, starts_at, ends_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+            entry.guildId,
+            entry.name || null,
+            entry.value,
+            toSqliteTimestamp(entry.startsAt),
+            toSqliteTimestamp(entry.endsAt),
+            entry.createdBy || null
+        ]
+    ).then((result) => result.lastID);
+}
+
+function listActiveMultiplierEvents(guildId, now = new Date()) {
+    const timestamp = toSqliteTimestamp(now);
+    return allAsync(
+        `SELECT * FROM multiplier_events
+         WHERE guild_id = ? AND status IN ('scheduled', 'active') AND starts_at <= ? AND ends_at > ?
+         ORDER BY value DESC, ends_at ASC`,
+        [guildId, timestamp, timestamp]
+    );
+}
+
+function listUpcomingMultiplierEvents(guildId, limit = 5, now = new Date()) {
+    return allAsync(
+        `SELECT * FROM multiplier_events
+         WHERE guild_id = ? AND status = 'scheduled' AND starts_at > ?
+         ORDER BY starts_at ASC
+         LIMIT ?`,
+        [guildId, toSqliteTimestamp(now), limit]
+    );
+}
+
+function getMultiplierEventById(guildId, id) {
+    return getAsync('SELECT * FROM multiplier_events WHERE guild_id = ? AND id = ?', [guildId, id]);
+}
+
+function setMultiplierEventStatus(id, status, fromStatuses) {
+    return runAsync(
+        `UPDATE multiplier_events SET status = ?
+         WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+        [status, id, ...fromStatuses]
+    ).then((result) => result.changes > 0);
+}
+
+/**
+ * Events whose start or end time has passed but whose status has not caught up
+ * yet, across every guild. Used by the scheduler to announce transitions.
+ */
+async function listDueMultiplierEventTransitions(now = new Date()) {
+    const timestamp = toSqliteTimestamp(now);
+    const starting = await allAsync(
+        `SELECT * FROM multiplier_events
+         WHERE status = 'scheduled' AND starts_at <= ? AND ends_at > ?
+         ORDER BY starts_at ASC`,
+        [timestamp, timestamp]
+    );
+    const ending = await allAsync(
+        `SELECT * FROM multiplier_events
+         WHERE status IN ('scheduled', 'active') AND ends_at <= ?
+         ORDER BY ends_at ASC`,
+        [timestamp]
+    );
+    return { starting, ending };
+}
+
+function getUserPoints(guildId, userId) {
     return new Promise((resolve, reject) => {
-        db.get('SELECT points FROM vouch_points WHERE user_id = ?', [userId], (err, row) => {
+        db.get('SELECT points FROM vouch_points WHERE guild_id = ? AND user_id = ?', [guildId, userId], (err, row) => {
             if (err) { reject(err); return; }
             resolve(row ? row.points : 0);
         });
     });
 }
 
-function changeUserBalance(userId, username, delta) {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            db.get('SELECT points FROM vouch_points WHERE user_id = ?', [userId], (err, row) => {
-                if (err) { reject(err); return; }
-                const current = row ? row.points : 0;
-                const next = Math.max(0, current + delta);
-                db.run(
-                    `INSERT INTO vouch_points (user_id, username, points, last_updated)
-                     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-                     ON CONFLICT(user_id) DO UPDATE SET
-                        username = excluded.username,
-                        points = excluded.points,
-                        last_updated = CURRENT_TIMESTAMP`,
-                    [userId, username, next],
-                    (updateErr) => {
-                        if (updateErr) { reject(updateErr); return; }
-                        resolve(next);
-                    }
-                );
+// Balances ranked by points; `search` matches a user ID or part of the stored username.
+function listBalances(guildId, { search = null, limit = 25 } = {}) {
+    return allAsync(
+        `SELECT user_id, username, points, last_updated
+         FROM vouch_points
+         WHERE guild_id = ? AND (? IS NULL OR user_id = ? OR username LIKE ?)
+         ORDER BY points DESC, user_id
+         LIMIT ?`,
+        [guildId, search, search, `%${search}%`, limit]
+    );
+}
+
+// Every guild with stored balances, settings or pending vouches.
+function listGuildSummaries() {
+    return allAsync(
+        `SELECT guild_id,
+                (SELECT COUNT(*) FROM vouch_points p WHERE p.guild_id = g.guild_id) AS balances,
+                (SELECT COALESCE(SUM(points), 0) FROM vouch_points p WHERE p.guild_id = g.guild_id) AS points,
+                (SELECT COUNT(*) FROM pending_vouches v WHERE v.guild_id = g.guild_id AND v.status = 'pending') AS pending
+         FROM (
+             SELECT guild_id FROM vouch_points
+             UNION SELECT guild_id FROM settings
+             UNION SELECT guild_id FROM pending_vouches
+         ) g
+         ORDER BY guild_id`
+    );
+}
+
+/**
+ * Applies a balance change and records it in the points ledger.
+ * `details` describes why the balance changed: reason, actorId, sourceChannelId,
+ * sourceMessageId, pendingId, multiplier, weight and occurredAt (backdates the
+ * entry, for vouches imported from channel history). The ledger stores the delta that was
+ * actually applied, so balances clamped at zero still sum up correctly.
+ */
+function changeUserBalance(guildId, userId, username, delta, details = {}) {
+    return adjustBalance(guildId, userId, username, delta, details).then((change) => change.after);
+}
+
+/**
+ * Same as changeUserBalance but resolves with { before, after, delta } so
+ * callers that report the change can show both sides of it.
+ */
+function adjustBalance(guildId, userId, username, delta, details = {}) {
+    return withTransaction(async () => {
+        const row = await getAsync('SELECT points FROM vouch_points WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+        const current = row ? row.points : 0;
+        const next = Math.max(0, current + delta);
+        await runAsync(
+            `INSERT INTO vouch_points (guild_id, user_id, username, points, last_updated)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(guild_id, user_id) DO UPDATE SET
+                username = COALESCE(excluded.username, vouch_points.username),
+                points = excluded.points,
+                last_updated = CURRENT_TIMESTAMP`,
+            [guildId, userId, username, next]
+        );
+        await runAsync(
+            `INSERT INTO points_ledger (
+                guild_id, user_id, delta, balance_before, balance_after, reason,
+                actor_id, source_channel_id, source_message_id, pending_id, multiplier, weight, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+            [
+                guildId,
+                userId,
+                next - current,
+                current,
+                next,
+                details.reason || 'adjustment',
+                details.actorId || null,
+                details.sourceChannelId || null,
+                details.sourceMessageId || null,
+                details.pendingId || null,
+                details.multiplier || null,
+                details.weight || null,
+                details.occurredAt ? toSqliteTimestamp(details.occurredAt) : null
+            ]
+        );
+        afterCommit(() => {
+            pointEvents.emit('balanceChanged', {
+                guildId,
+                userId,
+                before: current,
+                after: next,
+                delta: next - current,
+                details
             });
         });
+        return { before: current, after: next, delta: next - current };
+    });
+}
+
+/**
+ * Moves the whole balance of `fromUserId` onto `toUserId` (for example after
+ * an account migration), as a pair of ledger entries in one transaction.
+ * Resolves with { moved, from, to }, where from/to are the balance changes.
+ */
+function mergeUserBalances(guildId, fromUserId, toUserId, actorId = null) {
+    return withTransaction(async () => {
+        const moved = await getUserPoints(guildId, fromUserId);
+        if (moved === 0) return { moved, from: null, to: null };
+        const details = { reason: 'account_merge', actorId };
+        const from = await adjustBalance(guildId, fromUserId, null, -moved, details);
+        const to = await adjustBalance(guildId, toUserId, null, moved, details);
+        return { moved, from, to };
+    });
+}
+
+function countLedgerEntries(guildId, userId) {
+    return getAsync(
+        'SELECT COUNT(*) AS total FROM points_ledger WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+    ).then((row) => row.total);
+}
+
+function listLedgerEntries(guildId, userId, limit, offset) {
+    return allAsync(
+        `SELECT id, delta, balance_before, balance_after, reason, actor_id, source_channel_id,
+                source_message_id, pending_id, multiplier, weight, created_at
+         FROM points_ledger
+         WHERE guild_id = ? AND user_id = ?
+         ORDER BY id DESC
+         LIMIT ? OFFSET ?`,
+        [guildId, userId, limit, offset]
+    );
+}
+
+/**
+ * Rebuilds every stored balance in a guild from the sum of its ledger entries.
+ * Resolves with the number of balances checked and how many had drifted.
+ */
+async function recalculateBalances(guildId) {
+    // The drift count is taken inside the rewrite's transaction, so a balance
+    // change landing in between cannot skew the reported number.
+    return withTransaction(async () => {
+        const drifted = await allAsync(
+            `SELECT v.user_id
+             FROM vouch_points v
+             LEFT JOIN (
+                 SELECT user_id, SUM(delta) AS total FROM points_ledger WHERE guild_id = ? GROUP BY user_id
+             ) l ON l.user_id = v.user_id
+             WHERE v.guild_id = ? AND v.points <> COALESCE(l.total, 0)
+             UNION
+             SELECT l.user_id
+             FROM points_ledger l
+             WHERE l.guild_id = ?
+               AND NOT EXISTS (SELECT 1 FROM vouch_points v WHERE v.guild_id = l.guild_id AND v.user_id = l.user_id)`,
+            [guildId, guildId, guildId]
+        );
+        await runAsync(
+            `INSERT INTO vouch_points (guild_id, user_id, points, last_updated)
+             SELECT guild_id, user_id, SUM(delta), CURRENT_TIMESTAMP
+             FROM points_ledger
+             WHERE guild_id = ?
+             GROUP BY guild_id, user_id
+             ON CONFLICT(guild_id, user_id) DO UPDATE SET points = excluded.points`,
+            [guildId]
+        );
+        await runAsync(
+            `UPDATE vouch_points SET points = 0
+             WHERE guild_id = ?
+               AND NOT EXISTS (
+                   SELECT 1 FROM points_ledger l
+                   WHERE l.guild_id = vouch_points.guild_id AND l.user_id = vouch_points.user_id
+               )`,
+            [guildId]
+        );
+        const checked = await getAsync('SELECT COUNT(*) AS total FROM vouch_points WHERE guild_id = ?', [guildId]);
+        return { checked: checked.total, corrected: drifted.length };
     });
 }
 
@@ -161,6 +1050,123 @@ function formatPoints(points) {
     return `${points} point${points === 1 ? '' : 's'}`;
 }
 
+const LEADERBOARD_PERIODS = {
+    all: { label: 'All time', days: null, comparisonLabel: 'vs. 7 days ago' },
+    month: { label: 'Last 30 days', days: 30, comparisonLabel: 'vs. the 30 days before' },
+    week: { label: 'Last 7 days', days: 7, comparisonLabel: 'vs. the 7 days before' }
+};
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+function toSqliteTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days, from = new Date()) {
+    return new Date(from.getTime() - days * DAY_MS);
+}
+
+function rankRows(rows) {
+    return rows
+        .filter((row) => row.points > 0)
+        .sort((a, b) => b.points - a.points || String(a.user_id).localeCompare(String(b.user_id)))
+        .map((row, index) => ({ ...row, rank: index + 1 }));
+}
+
+function sumLedgerWindow(guildId, start, end) {
+    const conditions = ['guild_id = ?'];
+    const params = [guildId];
+    if (start) {
+        conditions.push('created_at >= ?');
+        params.push(toSqliteTimestamp(start));
+    }
+    if (end) {
+        conditions.push('created_at < ?');
+        params.push(toSqliteTimestamp(end));
+    }
+    return allAsync(
+        `SELECT user_id, SUM(delta) AS points
+         FROM points_ledger
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY user_id`,
+        params
+    );
+}
+
+/**
+ * Ranks providers by points earned in the given period ('all', 'month' or 'week').
+ * Each row carries its previous rank, taken from the preceding window of the same
+ * length (or the all-time standings a week ago), so rank changes can be shown.
+ */
+async function getLeaderboard(guildId, period = 'all') {
+    const config = LEADERBOARD_PERIODS[period] || LEADERBOARD_PERIODS.all;
+    const now = new Date();
+    let current;
+    let previous;
+
+    if (config.days) {
+        const start = daysAgo(config.days, now);
+        current = await sumLedgerWindow(guildId, start, null);
+        previous = await sumLedgerWindow(guildId, daysAgo(config.days, start), start);
+    } else {
+        current = await allAsync('SELECT user_id, points FROM vouch_points WHERE guild_id = ?', [guildId]);
+        previous = await sumLedgerWindow(guildId, null, daysAgo(7, now));
+    }
+
+    const previousRanks = new Map(rankRows(previous).map((row) => [row.user_id, row.rank]));
+    return rankRows(current).map((row) => ({
+        userId: row.user_id,
+        points: row.points,
+        rank: row.rank,
+        previousRank: previousRanks.get(row.user_id) || null
+    }));
+}
+
+const LEDGER_REASON_LABELS = {
+    vouch: 'Vouch',
+    vouch_reversed: 'Vouch reversed',
+    vouch_converted: 'Vouch returned to pending',
+    pending_approval: 'Approved pending vouch',
+    backfill: 'Vouch imported from history',
+    admin_add: 'Added by admin',
+    admin_remove: 'Removed by admin',
+    opening_balance: 'Opening balance',
+    legacy_import: 'Imported global balance',
+    file_import: 'Imported from file',
+    dispute_penalty: 'Dispute penalty',
+    redemption: 'Spent in the shop',
+    redemption_refund: 'Shop refund',
+    account_merge: 'Account merge'
+};
+
+function formatSignedPoints(delta) {
+    return `${delta >= 0 ? '+' : ''}${delta}`;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker.
+function toUnixSeconds(timestamp) {
+    const parsed = Date.parse(`${String(timestamp).replace(' ', 'T')}Z`);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function formatLedgerEntry(guildId, entry) {
+    const label = LEDGER_REASON_LABELS[entry.reason] || entry.reason;
+    const parts = [
+        `**${formatSignedPoints(entry.delta)}** ${label}${entry.multiplier ? ` (x${entry.multiplier}${entry.weight > 1 ? `, role weight ${entry.weight}` : ''})` : ''}`,
+        `${entry.balance_before} → ${entry.balance_after}`
+    ];
+    const unix = toUnixSeconds(entry.created_at);
+    if (unix) parts.push(`<t:${unix}:R>`);
+    if (entry.actor_id) parts.push(`by <@${entry.actor_id}>`);
+    if (entry.source_message_id && entry.source_channel_id) {
+        parts.push(`[message](https://discord.com/channels/${guildId}/${entry.source_channel_id}/${entry.source_message_id})`);
+    }
+    if (entry.pending_id) parts.push(`pending #${entry.pending_id}`);
+    return `\`#${entry.id}\` ${parts.join(' • ')}`;
+}
+
 function isImageAttachment(attachment) {
     if (!attachment) return false;
     const contentType = attachment.contentType || '';
@@ -213,41 +1219,60 @@ function truncateContent(text, limit = 200) {
     return `${cleaned.slice(0, limit - 3)}...`;
 }
 
+// Accepts "4/5", "4 / 5", "4 stars" or a run of ⭐ / 🌟 emojis. An explicit
+// score wins over emojis, which are easy to add for decoration.
+function parseVouchRating(text) {
+    if (!text) return null;
+    const score = text.match(/(?:^|[^\d])([1-5])\s*(?:\/\s*5|stars?\b)/i);
+    if (score) return Number(score[1]);
+    const stars = text.match(/⭐|🌟/g);
+    if (stars) return Math.min(stars.length, 5);
+    return null;
+}
+
+function extractVouchReview(text) {
+    if (!text) return null;
+    const cleaned = text
+        .replace(/<@[!&]?\d+>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return cleaned || null;
+}
+
+function formatStars(rating) {
+    const rounded = Math.round(rating);
+    return `${'★'.repeat(rounded)}${'☆'.repeat(5 - rounded)}`;
+}
+
 function createPendingVouch(entry) {
-    return new Promise((resolve, reject) => {
-        db.run(
-            `INSERT INTO pending_vouches (
-                guild_id, channel_id, message_id, voucher_id, voucher_tag,
-                message_content, attachment_urls
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [
-                entry.guildId,
-                entry.channelId,
-                entry.messageId,
-                entry.voucherId,
-                entry.voucherTag,
-                entry.messageContent,
-                serializeAttachments(entry.attachments)
-            ],
-            function (err) {
-                if (err) { reject(err); return; }
-                resolve(this.lastID);
-            }
-        );
-    });
+    return runAsync(
+        `INSERT INTO pending_vouches (
+            guild_id, channel_id, message_id, voucher_id, voucher_tag,
+            message_content, attachment_urls
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            entry.guildId,
+            entry.channelId,
+            entry.messageId,
+            entry.voucherId,
+            entry.voucherTag,
+            entry.messageContent,
+            serializeAttachments(entry.attachments)
+        ]
+    ).then((result) => result.lastID);
 }
 
-function listPendingVouches(limit = 5) {
+function listPendingVouches(guildId, limit = 5) {
     const safeLimit = Math.max(1, Math.min(25, Number(limit) || 5));
     return new Promise((resolve, reject) => {
         db.all(
             `SELECT id, guild_id, channel_id, message_id, voucher_id, voucher_tag,
                     message_content, attachment_urls, created_at
              FROM pending_vouches
-             WHERE approved = 0
+             WHERE guild_id = ? AND status = 'pending'
              ORDER BY datetime(created_at) ASC
              LIMIT ?`,
-            [safeLimit],
+            [guildId, safeLimit],
             (err, rows) => {
                 if (err) { reject(err); return; }
                 resolve(
@@ -261,14 +1286,15 @@ function listPendingVouches(limit = 5) {
     });
 }
 
-function getPendingVouchById(id) {
+function getPendingVouchById(guildId, id) {
     return new Promise((resolve, reject) => {
         db.get(
             `SELECT id, guild_id, channel_id, message_id, voucher_id, voucher_tag,
-                    message_content, attachment_urls, approved
+                    message_content, attachment_urls, provider_id, status, status_reason,
+                    resolved_by, resolved_at, notice_channel_id, notice_message_id, created_at
              FROM pending_vouches
-             WHERE id = ?`,
-            [id],
+             WHERE guild_id = ? AND id = ?`,
+            [guildId, id],
             (err, row) => {
                 if (err) { reject(err); return; }
                 if (!row) { resolve(null); return; }
@@ -281,41 +1307,446 @@ function getPendingVouchById(id) {
     });
 }
 
-function markPendingVouchApproved(id, providerId, providerTag) {
-    return new Promise((resolve, reject) => {
-        db.run(
-            `UPDATE pending_vouches
-             SET approved = 1,
-                 provider_id = ?,
-                 provider_tag = ?,
-                 approved_at = CURRENT_TIMESTAMP
-             WHERE id = ? AND approved = 0`,
-            [providerId, providerTag, id],
-            function (err) {
-                if (err) { reject(err); return; }
-                resolve(this.changes > 0);
-            }
-        );
-    });
+function markPendingVouchApproved(id, providerId, providerTag, resolvedBy = providerId) {
+    return runAsync(
+        `UPDATE pending_vouches
+         SET status = 'approved',
+             provider_id = ?,
+             provider_tag = ?,
+             resolved_by = ?,
+             resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'pending'`,
+        [providerId, providerTag, resolvedBy, id]
+    ).then((result) => result.changes > 0);
 }
 
-async function resolveProviderRole(guild) {
-    if (!guild) return null;
-    const cached = providerRoleCache.get(guild.id);
-    if (cached && guild.roles.cache.has(cached.id)) {
-        return guild.roles.cache.get(cached.id);
-    }
+function setPendingVouchNotice(id, channelId, messageId) {
+    return runAsync(
+        'UPDATE pending_vouches SET notice_channel_id = ?, notice_message_id = ? WHERE id = ?',
+        [channelId, messageId, id]
+    );
+}
 
-    try {
-        await guild.roles.fetch();
-    } catch (error) {
-        console.error(`Failed to fetch roles for guild ${guild.id}:`, error);
-    }
+/**
+ * Deletes unresolved pending vouches: the one with `id`, or all of them older
+ * than `olderThanDays` (or every one when neither is given). Resolves with the
+ * number deleted.
+ */
+function purgePendingVouches(guildId, { id = null, olderThanDays = null } = {}) {
+    const cutoff = olderThanDays === null ? null : toSqliteTimestamp(new Date(Date.now() - olderThanDays * DAY_MS));
+    return runAsync(
+        `DELETE FROM pending_vouches
+         WHERE guild_id = ? AND status = 'pending'
+           AND (? IS NULL OR id = ?)
+           AND (? IS NULL OR created_at < ?)`,
+        [guildId, id, id, cutoff, cutoff]
+    ).then((result) => result.changes);
+}
 
-    const roleId = process.env.PROVIDER_ROLE_ID;
-    const roleName = process.env.PROVIDER_ROLE_NAME;
+function markPendingVouchRejected(id, moderatorId, reason) {
+    return runAsync(
+        `UPDATE pending_vouches
+         SET status = 'rejected',
+             status_reason = ?,
+             resolved_by = ?,
+             resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'pending'`,
+        [reason, moderatorId, id]
+    ).then((result) => result.changes > 0);
+}
 
-    let role = null;
+/**
+ * Marks pending vouches older than `maxAgeHours` as expired and resolves with
+ * the rows that were expired.
+ */
+async function expireStalePendingVouches(guildId, maxAgeHours) {
+    const cutoff = toSqliteTimestamp(new Date(Date.now() - maxAgeHours * 60 * 60 * 1000));
+    const stale = await allAsync(
+        `SELECT id, channel_id, message_id, voucher_id FROM pending_vouches
+         WHERE guild_id = ? AND status = 'pending' AND created_at < ?`,
+        [guildId, cutoff]
+    );
+    if (stale.length === 0) return [];
+    await runAsync(
+        `UPDATE pending_vouches
+         SET status = 'expired',
+             status_reason = ?,
+             resolved_at = CURRENT_TIMESTAMP
+         WHERE guild_id = ? AND status = 'pending' AND created_at < ?`,
+        [`No provider claimed it within ${maxAgeHours} hours.`, guildId, cutoff]
+    );
+    return stale;
+}
+
+/**
+ * Links an award to the message it came from so it can be reversed if the
+ * message is later deleted or edited. Re-awarding the same message to the same
+ * provider reactivates the existing row.
+ */
+function recordVouchAward(entry) {
+    return runAsync(
+        `INSERT INTO vouches (
+            guild_id, channel_id, message_id, voucher_id, provider_id,
+            points, multiplier, weight, pending_id, attachment_urls, rating, review, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+        ON CONFLICT(message_id, provider_id) DO UPDATE SET
+            status = 'active',
+            points = excluded.points,
+            multiplier = excluded.multiplier,
+            weight = excluded.weight,
+            pending_id = excluded.pending_id,
+            rating = COALESCE(excluded.rating, vouches.rating),
+            review = excluded.review,
+            reversed_at = NULL`,
+        [
+            entry.guildId,
+            entry.channelId,
+            entry.messageId,
+            entry.voucherId,
+            entry.providerId,
+            entry.points,
+            entry.multiplier,
+            entry.weight || 1,
+            entry.pendingId || null,
+            serializeAttachments(entry.attachments || []),
+            entry.rating || null,
+            entry.review || null,
+            entry.occurredAt ? toSqliteTimestamp(entry.occurredAt) : null
+        ]
+    );
+}
+
+function getVouchByMessageAndProvider(messageId, providerId) {
+    return getAsync(
+        'SELECT * FROM vouches WHERE message_id = ? AND provider_id = ?',
+        [messageId, providerId]
+    );
+}
+
+function getVouchById(guildId, id) {
+    return getAsync('SELECT * FROM vouches WHERE guild_id = ? AND id = ?', [guildId, id]);
+}
+
+// A rating covers the whole vouch message, so every provider it credited gets it.
+function setVouchRating(vouch, rating) {
+    return runAsync(
+        "UPDATE vouches SET rating = ? WHERE guild_id = ? AND message_id = ? AND status = 'active'",
+        [rating, vouch.guild_id, vouch.message_id]
+    ).then((result) => result.changes > 0);
+}
+
+function updateVouchReviewsForMessage(guildId, messageId, rating, review) {
+    return runAsync(
+        `UPDATE vouches SET rating = COALESCE(?, rating), review = ?
+         WHERE guild_id = ? AND message_id = ? AND status = 'active'`,
+        [rating, review, guildId, messageId]
+    );
+}
+
+async function getProviderRatingSummary(guildId, providerId) {
+    const row = await getAsync(
+        `SELECT AVG(rating) AS average, COUNT(rating) AS count
+         FROM vouches
+         WHERE guild_id = ? AND provider_id = ? AND status = 'active' AND rating IS NOT NULL`,
+        [guildId, providerId]
+    );
+    return { average: row?.count ? row.average : null, count: row?.count || 0 };
+}
+
+function listRecentReviews(guildId, providerId, limit = 3) {
+    return allAsync(
+        `SELECT voucher_id, rating, review, created_at
+         FROM vouches
+         WHERE guild_id = ? AND provider_id = ? AND status = 'active' AND review IS NOT NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [guildId, providerId, limit]
+    );
+}
+
+function describeRatingSummary(summary) {
+    if (!summary.count) return '_No ratings yet_';
+    return `${formatStars(summary.average)} **${summary.average.toFixed(2)}** / 5 from ${summary.count} rating${summary.count === 1 ? '' : 's'}`;
+}
+
+async function getProviderProfileStats(guildId, providerId) {
+    const now = new Date();
+    const totals = await getAsync(
+        `SELECT COUNT(*) AS vouches,
+                COUNT(DISTINCT voucher_id) AS unique_vouchers,
+                SUM(CASE WHEN created_at >= ? THEN 1 ELSE 0 END) AS week,
+                SUM(CASE WHEN created_at >= ? THEN 1 ELSE 0 END) AS month,
+                MIN(created_at) AS first_at,
+                MAX(created_at) AS latest_at
+         FROM vouches
+         WHERE guild_id = ? AND provider_id = ? AND status = 'active'`,
+        [toSqliteTimestamp(daysAgo(7, now)), toSqliteTimestamp(daysAgo(30, now)), guildId, providerId]
+    );
+    const topVouchers = await allAsync(
+        `SELECT voucher_id, COUNT(*) AS vouches
+         FROM vouches
+         WHERE guild_id = ? AND provider_id = ? AND status = 'active' AND voucher_id IS NOT NULL
+         GROUP BY voucher_id
+         ORDER BY vouches DESC, MAX(created_at) DESC
+         LIMIT 3`,
+        [guildId, providerId]
+    );
+    const recent = await allAsync(
+        `SELECT channel_id, message_id, attachment_urls
+         FROM vouches
+         WHERE guild_id = ? AND provider_id = ? AND status = 'active'
+         ORDER BY created_at DESC, id DESC
+         LIMIT 5`,
+        [guildId, providerId]
+    );
+    return {
+        vouches: totals?.vouches || 0,
+        uniqueVouchers: totals?.unique_vouchers || 0,
+        week: totals?.week || 0,
+        month: totals?.month || 0,
+        firstAt: totals?.first_at || null,
+        latestAt: totals?.latest_at || null,
+        topVouchers,
+        recent: recent.map((row) => ({ ...row, attachments: deserializeAttachments(row.attachment_urls) }))
+    };
+}
+
+async function buildProfileEmbed(guild, user) {
+    const points = await getUserPoints(guild.id, user.id);
+    const standing = (await getLeaderboard(guild.id, 'all')).find((entry) => entry.userId === user.id);
+    const summary = await getProviderRatingSummary(guild.id, user.id);
+    const reviews = await listRecentReviews(guild.id, user.id, 3);
+    const stats = await getProviderProfileStats(guild.id, user.id);
+    const disputes = await getDisputeCounts(guild.id, user.id);
+    const member = await guild.members.fetch(user.id).catch(() => null);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setAuthor({ name: member?.displayName || getSafeUserTag(user), iconURL: user.displayAvatarURL() })
+        .setThumbnail(user.displayAvatarURL())
+        .addFields(
+            { name: 'Vouch points', value: formatPoints(points), inline: true },
+            { name: 'Rank', value: standing ? `#${standing.rank}` : '_Unranked_', inline: true },
+            { name: 'Rating', value: describeRatingSummary(summary), inline: true },
+            { name: 'Vouches', value: `${stats.vouches} total • ${stats.week} this week • ${stats.month} this month`, inline: true },
+            { name: 'Unique vouchers', value: String(stats.uniqueVouchers), inline: true },
+            { name: 'Disputes', value: describeDisputeCounts(disputes) || 'None', inline: true }
+        )
+        .setTimestamp();
+
+    if (stats.vouches === 0) {
+        embed.setDescription(`${user} has not received any vouches yet.`);
+        return embed;
+    }
+
+    embed.addFields(
+        {
+            name: 'First / latest vouch',
+            value: `<t:${toUnixSeconds(stats.firstAt)}:D> • <t:${toUnixSeconds(stats.latestAt)}:R>`,
+            inline: true
+        },
+        {
+            name: 'Top vouchers',
+            value: stats.topVouchers.length
+                ? stats.topVouchers
+                      .map((entry) => `<@${entry.voucher_id}> — ${entry.vouches} vouch${entry.vouches === 1 ? '' : 'es'}`)
+                      .join('\n')
+                : '_None_'
+        },
+        { name: 'Latest reviews', value: describeRecentReviews(reviews) }
+    );
+
+    const gallery = stats.recent
+        .filter((entry) => entry.attachments.length > 0)
+        .map((entry, index) => {
+            const jump = `https://discord.com/channels/${guild.id}/${entry.channel_id}/${entry.message_id}`;
+            const images = entry.attachments.map((att, imageIndex) => `[image ${imageIndex + 1}](${att.url})`).join(' ');
+            return `${index + 1}. [vouch](${jump}) • ${images}`;
+        });
+    if (gallery.length) {
+        embed.addFields({ name: 'Recent vouch images', value: gallery.join('\n').slice(0, 1024) });
+        embed.setImage(stats.recent.find((entry) => entry.attachments.length > 0).attachments[0].url);
+    }
+    return embed;
+}
+
+function describeRecentReviews(reviews) {
+    if (reviews.length === 0) return '_No reviews yet_';
+    return reviews
+        .map((entry) => {
+            const stars = entry.rating ? `${formatStars(entry.rating)} ` : '';
+            return `${stars}<@${entry.voucher_id}>: ${truncateContent(entry.review, 120)}`;
+        })
+        .join('\n');
+}
+
+function listActiveVouchesForMessage(guildId, messageId) {
+    return allAsync(
+        `SELECT id, guild_id, channel_id, message_id, voucher_id, provider_id, points, multiplier, weight, pending_id
+         FROM vouches
+         WHERE guild_id = ? AND message_id = ? AND status = 'active'`,
+        [guildId, messageId]
+    );
+}
+
+function closeVouchAward(id, status) {
+    return runAsync(
+        `UPDATE vouches SET status = ?, reversed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'active'`,
+        [status, id]
+    ).then((result) => result.changes > 0);
+}
+
+function deleteUnapprovedPendingVouchesForMessage(guildId, messageId) {
+    return runAsync(
+        `DELETE FROM pending_vouches WHERE guild_id = ? AND message_id = ? AND status = 'pending'`,
+        [guildId, messageId]
+    );
+}
+
+function deleteImageHashesForMessage(guildId, messageId) {
+    return runAsync('DELETE FROM vouch_image_hashes WHERE guild_id = ? AND message_id = ?', [guildId, messageId]);
+}
+
+async function recordImageHashes(guildId, channelId, messageId, hashes) {
+    for (const hash of hashes) {
+        await runAsync(
+            `INSERT OR IGNORE INTO vouch_image_hashes (guild_id, hash, channel_id, message_id)
+             VALUES (?, ?, ?, ?)`,
+            [guildId, hash, channelId, messageId]
+        );
+    }
+}
+
+function findDuplicateImage(guildId, hashes, messageId) {
+    if (!hashes.length) return Promise.resolve(null);
+    return getAsync(
+        `SELECT channel_id, message_id FROM vouch_image_hashes
+         WHERE guild_id = ? AND message_id <> ? AND hash IN (${hashes.map(() => '?').join(', ')})
+         ORDER BY datetime(created_at) ASC
+         LIMIT 1`,
+        [guildId, messageId, ...hashes]
+    );
+}
+
+function getLatestVouchBetween(guildId, voucherId, providerId, before = new Date()) {
+    return getAsync(
+        `SELECT created_at FROM vouches
+         WHERE guild_id = ? AND voucher_id = ? AND provider_id = ? AND status = 'active'
+           AND datetime(created_at) <= datetime(?)
+         ORDER BY datetime(created_at) DESC
+         LIMIT 1`,
+        [guildId, voucherId, providerId, toSqliteTimestamp(before)]
+    );
+}
+
+function createRejectedVouch(entry) {
+    return runAsync(
+        `INSERT INTO rejected_vouches (
+            guild_id, channel_id, message_id, voucher_id, voucher_tag, provider_id,
+            pending_id, rule_id, reason, message_content, attachment_urls
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            entry.guildId,
+            entry.channelId,
+            entry.messageId,
+            entry.voucherId,
+            entry.voucherTag,
+            entry.providerId || null,
+            entry.pendingId || null,
+            entry.ruleId,
+            entry.reason,
+            entry.messageContent || '',
+            serializeAttachments(entry.attachments || [])
+        ]
+    ).then((result) => result.lastID);
+}
+
+function getRejectedVouchById(guildId, id) {
+    return getAsync(
+        'SELECT * FROM rejected_vouches WHERE guild_id = ? AND id = ?',
+        [guildId, id]
+    ).then((row) => (row ? { ...row, attachments: deserializeAttachments(row.attachment_urls) } : null));
+}
+
+function listRejectedVouches(guildId, limit = 10) {
+    return allAsync(
+        `SELECT id, channel_id, message_id, voucher_id, provider_id, rule_id, reason, created_at
+         FROM rejected_vouches
+         WHERE guild_id = ? AND status = 'rejected'
+         ORDER BY id DESC
+         LIMIT ?`,
+        [guildId, limit]
+    );
+}
+
+function markRejectedVouchOverridden(id, moderatorId) {
+    return runAsync(
+        `UPDATE rejected_vouches
+         SET status = 'overridden', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'rejected'`,
+        [moderatorId, id]
+    ).then((result) => result.changes > 0);
+}
+
+function listVouchChannels(guildId) {
+    return allAsync(
+        'SELECT channel_id, kind, added_by, created_at FROM vouch_channels WHERE guild_id = ? ORDER BY kind, created_at',
+        [guildId]
+    );
+}
+
+function addVouchChannel(guildId, channelId, kind, addedBy) {
+    return runAsync(
+        `INSERT INTO vouch_channels (guild_id, channel_id, kind, added_by) VALUES (?, ?, ?, ?)
+         ON CONFLICT(guild_id, channel_id) DO UPDATE SET kind = excluded.kind`,
+        [guildId, channelId, kind, addedBy]
+    );
+}
+
+function removeVouchChannel(guildId, channelId) {
+    return runAsync(
+        'DELETE FROM vouch_channels WHERE guild_id = ? AND channel_id = ?',
+        [guildId, channelId]
+    ).then((result) => result.changes > 0);
+}
+
+function listProviderRoles(guildId) {
+    return allAsync(
+        'SELECT role_id, weight, added_by, created_at FROM provider_roles WHERE guild_id = ? ORDER BY created_at',
+        [guildId]
+    );
+}
+
+function addProviderRole(guildId, roleId, weight, addedBy) {
+    return runAsync(
+        `INSERT INTO provider_roles (guild_id, role_id, weight, added_by) VALUES (?, ?, ?, ?)
+         ON CONFLICT(guild_id, role_id) DO UPDATE SET weight = excluded.weight`,
+        [guildId, roleId, weight, addedBy]
+    );
+}
+
+function removeProviderRole(guildId, roleId) {
+    return runAsync(
+        'DELETE FROM provider_roles WHERE guild_id = ? AND role_id = ?',
+        [guildId, roleId]
+    ).then((result) => result.changes > 0);
+}
+
+// The PROVIDER_ROLE_ID / PROVIDER_ROLE_NAME env vars name the default provider
+// role for guilds that have not configured any with /vouchconfig providerroles.
+async function resolveDefaultProviderRole(guild) {
+    const roleId = process.env.PROVIDER_ROLE_ID;
+    const roleName = process.env.PROVIDER_ROLE_NAME;
+    if (!roleId && !roleName) return null;
+
+    try {
+        await guild.roles.fetch();
+    } catch (error) {
+        console.error(`Failed to fetch roles for guild ${guild.id}:`, error);
+    }
+
+    let role = null;
     if (roleId) {
         role = guild.roles.cache.get(roleId);
     }
@@ -323,12 +1754,299 @@ async function resolveProviderRole(guild) {
         const lower = roleName.toLowerCase();
         role = guild.roles.cache.find((r) => r.name.toLowerCase() === lower);
     }
+    return role || null;
+}
+
+/**
+ * Resolves the guild's provider roles as `{ id, weight, source }` entries, where
+ * `source` is 'config' for roles stored in the database and 'env' for the
+ * environment default. Cached until a role or the configuration changes.
+ */
+async function resolveProviderRoles(guild) {
+    if (!guild) return [];
+    const cached = providerRoleCache.get(guild.id);
+    if (cached) return cached.roles;
 
-    if (role) {
-        providerRoleCache.set(guild.id, { id: role.id, fetchedAt: Date.now() });
+    const configured = await listProviderRoles(guild.id);
+    let roles;
+    if (configured.length) {
+        roles = configured.map((row) => ({ id: row.role_id, weight: row.weight, source: 'config' }));
+    } else {
+        const fallback = await resolveDefaultProviderRole(guild);
+        roles = fallback ? [{ id: fallback.id, weight: 1, source: 'env' }] : [];
     }
 
-    return role || null;
+    providerRoleCache.set(guild.id, { roles, fetchedAt: Date.now() });
+    return roles;
+}
+
+function invalidateProviderRoles(guildId) {
+    providerRoleCache.delete(guildId);
+}
+
+// A member holding several provider roles earns the highest of their weights.
+function providerWeightFor(member, providerRoles) {
+    if (!member) return 0;
+    return providerRoles.reduce(
+        (highest, role) => (member.roles.cache.has(role.id) ? Math.max(highest, role.weight) : highest),
+        0
+    );
+}
+
+function formatRankChange(entry) {
+    if (!entry.previousRank) return '🆕';
+    const change = entry.previousRank - entry.rank;
+    if (change > 0) return `▲${change}`;
+    if (change < 0) return `▼${Math.abs(change)}`;
+    return '—';
+}
+
+async function buildLeaderboardEmbed(guild, period = 'all', page = 1) {
+    const config = LEADERBOARD_PERIODS[period] || LEADERBOARD_PERIODS.all;
+    const ranking = await getLeaderboard(guild.id, period);
+    const pageCount = Math.max(1, Math.ceil(ranking.length / LEADERBOARD_PAGE_SIZE));
+    const safePage = Math.min(Math.max(1, page), pageCount);
+    const entries = ranking.slice((safePage - 1) * LEADERBOARD_PAGE_SIZE, safePage * LEADERBOARD_PAGE_SIZE);
+    const disputes = await getDisputeCounts(guild.id);
+    const disputeBadge = (userId) => {
+        const badge = describeDisputeCounts(disputes.get(userId));
+        return badge ? ` • ${badge}` : '';
+    };
+
+    return new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle(`🏆 Vouch leaderboard — ${config.label}`)
+        .setDescription(
+            entries.length
+                ? entries
+                      .map((entry) => `\`#${entry.rank}\` <@${entry.userId}> — **${formatPoints(entry.points)}** ${formatRankChange(entry)}${disputeBadge(entry.userId)}`)
+                      .join('\n')
+                : '_No vouch points have been awarded in this period yet._'
+        )
+        .setFooter({ text: `${guild.name} • Page ${safePage} of ${pageCount} • Rank changes ${config.comparisonLabel}` })
+        .setTimestamp();
+}
+
+async function refreshPinnedLeaderboard(guildId) {
+    const channelId = await getSetting(guildId, 'leaderboard_channel_id');
+    if (!channelId) return;
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`Leaderboard channel ${channelId} is not available in guild ${guildId}.`);
+        return;
+    }
+
+    const embed = await buildLeaderboardEmbed(guild, 'all', 1);
+    const messageId = await getSetting(guildId, 'leaderboard_message_id');
+    const existing = messageId ? await channel.messages.fetch(messageId).catch(() => null) : null;
+
+    if (existing) {
+        await existing.edit({ embeds: [embed] });
+        return;
+    }
+
+    const message = await channel.send({ embeds: [embed] });
+    await setSetting(guildId, 'leaderboard_message_id', message.id);
+    await message.pin().catch((error) => {
+        console.error(`Failed to pin leaderboard in guild ${guildId}:`, error);
+    });
+}
+
+const leaderboardRefreshTimers = new Map();
+
+// Several awards often land within seconds of each other, so batch the edits.
+function scheduleLeaderboardRefresh(guildId, delayMs = 5000) {
+    if (!client.isReady() || leaderboardRefreshTimers.has(guildId)) return;
+    const timer = setTimeout(() => {
+        leaderboardRefreshTimers.delete(guildId);
+        refreshPinnedLeaderboard(guildId).catch((error) => {
+            console.error(`Failed to refresh pinned leaderboard for guild ${guildId}:`, error);
+        });
+    }, delayMs);
+    leaderboardRefreshTimers.set(guildId, timer);
+}
+
+pointEvents.on('balanceChanged', ({ guildId }) => scheduleLeaderboardRefresh(guildId));
+
+function listRewardTiers(guildId) {
+    return allAsync(
+        'SELECT role_id, threshold, message FROM reward_tiers WHERE guild_id = ? ORDER BY threshold, role_id',
+        [guildId]
+    );
+}
+
+function upsertRewardTier(guildId, roleId, threshold, message, createdBy) {
+    return runAsync(
+        `INSERT INTO reward_tiers (guild_id, role_id, threshold, message, created_by) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(guild_id, role_id) DO UPDATE SET threshold = excluded.threshold, message = excluded.message`,
+        [guildId, roleId, threshold, message, createdBy]
+    );
+}
+
+function removeRewardTier(guildId, roleId) {
+    return runAsync(
+        'DELETE FROM reward_tiers WHERE guild_id = ? AND role_id = ?',
+        [guildId, roleId]
+    ).then((result) => result.changes > 0);
+}
+
+function formatRewardMessage(template, member, role, points) {
+    return template
+        .replace(/\{user\}/g, `${member}`)
+        .replace(/\{role\}/g, role.name)
+        .replace(/\{points\}/g, String(points));
+}
+
+async function announceRewardTier(guild, member, role, tier, points) {
+    if (!tier.message) return;
+    const channelId = await getSetting(guild.id, 'reward_announce_channel_id');
+    if (!channelId) return;
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) return;
+    await channel.send({
+        content: formatRewardMessage(tier.message, member, role, points),
+        allowedMentions: { users: [member.id] }
+    }).catch((error) => {
+        console.error(`Failed to announce reward tier ${role.id} in guild ${guild.id}:`, error);
+    });
+}
+
+/**
+ * Grants every tier role whose threshold the member meets and removes the rest.
+ * Announcements are only sent when `before` is given and the balance moved from
+ * below a tier's threshold to at or above it.
+ */
+async function applyRewardTiers(guild, member, points, tiers, before = null) {
+    const result = { granted: 0, removed: 0, failed: 0 };
+    for (const tier of tiers) {
+        const role = guild.roles.cache.get(tier.role_id);
+        if (!role) continue;
+        const qualifies = points >= tier.threshold;
+        const hasRole = member.roles.cache.has(role.id);
+        if (qualifies === hasRole) continue;
+
+        try {
+            if (qualifies) {
+                await member.roles.add(role, `Reached ${formatPoints(tier.threshold)}`);
+                result.granted += 1;
+                if (before !== null && before < tier.threshold) {
+                    await announceRewardTier(guild, member, role, tier, points);
+                }
+            } else {
+                await member.roles.remove(role, `Dropped below ${formatPoints(tier.threshold)}`);
+                result.removed += 1;
+            }
+        } catch (error) {
+            result.failed += 1;
+            console.error(`Failed to update reward role ${role.id} for ${member.id} in guild ${guild.id}:`, error);
+        }
+    }
+    return result;
+}
+
+async function syncMemberRewardTiers(guildId, userId, before, after) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+    const tiers = await listRewardTiers(guildId);
+    if (tiers.length === 0) return;
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return;
+    await applyRewardTiers(guild, member, after, tiers, before);
+}
+
+const rewardTierQueues = new Map();
+
+// Balance events for the same member are applied one at a time so a quick
+// award and removal cannot leave the roles out of order.
+pointEvents.on('balanceChanged', ({ guildId, userId, before, after }) => {
+    if (!client.isReady()) return;
+    const key = `${guildId}:${userId}`;
+    const previous = rewardTierQueues.get(key) || Promise.resolve();
+    const next = previous
+        .then(() => syncMemberRewardTiers(guildId, userId, before, after))
+        .catch((error) => {
+            console.error(`Failed to sync reward roles for ${userId} in guild ${guildId}:`, error);
+        })
+        .finally(() => {
+            if (rewardTierQueues.get(key) === next) rewardTierQueues.delete(key);
+        });
+    rewardTierQueues.set(key, next);
+});
+
+async function syncAllRewardTiers(guild) {
+    const tiers = await listRewardTiers(guild.id);
+    const totals = { members: 0, granted: 0, removed: 0, failed: 0 };
+    if (tiers.length === 0) return totals;
+
+    const rows = await allAsync('SELECT user_id, points FROM vouch_points WHERE guild_id = ?', [guild.id]);
+    const balances = new Map(rows.map((row) => [row.user_id, row.points]));
+    const members = await guild.members.fetch();
+    for (const member of members.values()) {
+        if (member.user.bot) continue;
+        const result = await applyRewardTiers(guild, member, balances.get(member.id) || 0, tiers);
+        totals.members += 1;
+        totals.granted += result.granted;
+        totals.removed += result.removed;
+        totals.failed += result.failed;
+    }
+    return totals;
+}
+
+const vouchChannelCache = new Map();
+
+async function getVouchChannelConfig(guildId) {
+    const cached = vouchChannelCache.get(guildId);
+    if (cached) return cached;
+    const entries = await listVouchChannels(guildId);
+    const config = {
+        ids: new Set(entries.map((entry) => entry.channel_id)),
+        nameFallback: (await getSetting(guildId, 'vouch_name_fallback', 'off')) === 'on'
+    };
+    vouchChannelCache.set(guildId, config);
+    return config;
+}
+
+function invalidateVouchChannelConfig(guildId) {
+    vouchChannelCache.delete(guildId);
+}
+
+function isForumPost(channel) {
+    return Boolean(channel?.isThread?.() && channel.parent?.type === ChannelType.GuildForum);
+}
+
+/**
+ * A channel counts when it, its parent channel (for threads and forum posts) or
+ * its category is on the guild's allowlist. The old "vouch" name match is only
+ * used when the guild has opted into it.
+ */
+async function isVouchChannel(channel) {
+    if (!channel?.guildId) return false;
+    const config = await getVouchChannelConfig(channel.guildId);
+
+    const candidates = [channel.id, channel.parentId];
+    if (channel.isThread?.()) {
+        candidates.push(channel.parent?.parentId);
+    }
+    if (candidates.some((id) => id && config.ids.has(id))) return true;
+
+    return config.nameFallback && channelMatchesVouchName(channel);
+}
+
+// In forum channels each post is one vouch, so only the post's opening message
+// (which shares the thread's ID) counts; replies inside the post do not.
+async function isVouchMessage(message) {
+    if (!(await isVouchChannel(message.channel))) return false;
+    if (isForumPost(message.channel)) return message.id === message.channel.id;
+    return true;
+}
+
+function getVouchChannelKind(channel) {
+    if (channel.type === ChannelType.GuildCategory) return 'category';
+    if (channel.isThread?.()) return 'thread';
+    return 'channel';
 }
 
 function channelMatchesVouchName(channel) {
@@ -341,112 +2059,3588 @@ function channelMatchesVouchName(channel) {
     return false;
 }
 
-async function handleVouchMessage(message) {
-    if (message.author.bot) return;
-    if (!message.guild) return;
-    if (!channelMatchesVouchName(message.channel)) return;
+async function hashAttachment(attachment) {
+    const response = await fetch(attachment.url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) {
+        throw new Error(`Unexpected response ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
 
-    const providerRole = await resolveProviderRole(message.guild);
-    if (!providerRole) return;
+async function hashAttachments(attachments) {
+    const hashes = new Set();
+    for (const attachment of attachments) {
+        try {
+            hashes.add(await hashAttachment(attachment));
+        } catch (error) {
+            console.error(`Failed to hash attachment ${attachment.url}:`, error);
+        }
+    }
+    return [...hashes];
+}
 
-    const attachments = [...message.attachments.values()].filter((att) => isImageAttachment(att));
-    if (attachments.length === 0) return;
+/**
+ * Anti-abuse rules checked before a vouch awards points. Each rule reads its
+ * per-guild setting (falling back to `defaultValue`) and returns a reason string
+ * when the vouch should be rejected, or null when it passes. Rules that need a
+ * provider are skipped while a vouch is still waiting for one.
+ */
+const VOUCH_RULES = [
+    {
+        id: 'self_vouch',
+        label: 'Self-vouch',
+        settingKey: 'rule_self_vouch',
+        defaultValue: 'on',
+        async check(context, value) {
+            if (value !== 'on' || !context.providerId) return null;
+            if (context.providerId !== context.voucherId) return null;
+            return 'Providers cannot vouch for themselves.';
+        }
+    },
+    {
+        id: 'cooldown',
+        label: 'Voucher → provider cooldown',
+        settingKey: 'rule_cooldown_minutes',
+        defaultValue: '0',
+        async check(context, value) {
+            const minutes = Number(value) || 0;
+            if (minutes <= 0 || !context.providerId) return null;
+            const latest = await getLatestVouchBetween(context.guild.id, context.voucherId, context.providerId, new Date(context.at));
+            const latestUnix = latest ? toUnixSeconds(latest.created_at) : null;
+            if (!latestUnix) return null;
+            const remainingMs = latestUnix * 1000 + minutes * 60 * 1000 - context.at;
+            if (remainingMs <= 0) return null;
+            const remaining = Math.ceil(remainingMs / 60000);
+            return `<@${context.voucherId}> already vouched for <@${context.providerId}> recently. Try again in ${remaining} minute${remaining === 1 ? '' : 's'}.`;
+        }
+    },
+    {
+        id: 'account_age',
+        label: 'Minimum account age',
+        settingKey: 'rule_min_account_age_days',
+        defaultValue: '0',
+        async check(context, value) {
+            const days = Number(value) || 0;
+            if (days <= 0) return null;
+            const user = context.voucherMember?.user || await client.users.fetch(context.voucherId).catch(() => null);
+            if (!user || context.at - user.createdTimestamp >= days * DAY_MS) return null;
+            return `Voucher accounts must be at least ${days} day${days === 1 ? '' : 's'} old.`;
+        }
+    },
+    {
+        id: 'member_age',
+        label: 'Minimum server membership',
+        settingKey: 'rule_min_member_age_days',
+        defaultValue: '0',
+        async check(context, value) {
+            const days = Number(value) || 0;
+            if (days <= 0 || !context.voucherMember?.joinedTimestamp) return null;
+            if (context.at - context.voucherMember.joinedTimestamp >= days * DAY_MS) return null;
+            return `Vouchers must have been in the server for at least ${days} day${days === 1 ? '' : 's'}.`;
+        }
+    },
+    {
+        id: 'duplicate_image',
+        label: 'Duplicate image',
+        settingKey: 'rule_duplicate_images',
+        defaultValue: 'on',
+        async check(context, value) {
+            if (value !== 'on' || !context.imageHashes.length) return null;
+            const duplicate = await findDuplicateImage(context.guild.id, context.imageHashes, context.messageId);
+            if (!duplicate) return null;
+            return `This image was already used in https://discord.com/channels/${context.guild.id}/${duplicate.channel_id}/${duplicate.message_id}`;
+        }
+    }
+];
 
-    const mentionedMembers = message.mentions?.members;
-    const providerMember = mentionedMembers?.find((member) => member.roles.cache.has(providerRole.id)) || null;
+async function getVouchRuleConfig(guildId) {
+    const config = {};
+    for (const rule of VOUCH_RULES) {
+        config[rule.id] = await getSetting(guildId, rule.settingKey, rule.defaultValue);
+    }
+    return config;
+}
 
-    if (!providerMember) {
-        try {
-            const pendingId = await createPendingVouch({
-                guildId: message.guild.id,
-                channelId: message.channel.id,
-                messageId: message.id,
-                voucherId: message.author.id,
-                voucherTag: getSafeUserTag(message.author),
-                messageContent: message.content || '',
-                attachments
-            });
+/**
+ * Runs every anti-abuse rule against a vouch. Resolves with the first rule that
+ * fired (if any) and the hashes of the attached images, which the caller stores
+ * once the vouch is accepted.
+ */
+async function evaluateVouchRules(guild, { voucherId, providerId = null, messageId = null, attachments = [], at = Date.now(), imageHashes = null }) {
+    const config = await getVouchRuleConfig(guild.id);
+    const context = {
+        guild,
+        at,
+        voucherId,
+        providerId,
+        messageId,
+        voucherMember: await guild.members.fetch(voucherId).catch(() => null),
+        imageHashes: imageHashes ?? (config.duplicate_image === 'on' && attachments.length ? await hashAttachments(attachments) : [])
+    };
 
-            const embed = new EmbedBuilder()
-                .setColor(0xf1c40f)
-                .setTitle('Vouch pending approval')
-                .setDescription('No provider was mentioned in this vouch. The provider can approve it using `/approvevouch`.')
-                .addFields(
-                    { name: 'Voucher', value: `${message.author}`, inline: true },
-                    { name: 'Pending ID', value: `#${pendingId}`, inline: true }
-                )
-                .setFooter({ text: 'Use /approvevouch id:<pending id> to claim this vouch.' })
-                .setTimestamp();
+    for (const rule of VOUCH_RULES) {
+        const reason = await rule.check(context, config[rule.id]);
+        if (reason) {
+            return { rejection: { ruleId: rule.id, label: rule.label, reason }, imageHashes: context.imageHashes };
+        }
+    }
+    return { rejection: null, imageHashes: context.imageHashes };
+}
 
-            const firstAttachment = attachments[0];
-            if (firstAttachment?.url) {
-                embed.setImage(firstAttachment.url);
-            }
+function describeVouchRule(ruleId) {
+    return VOUCH_RULES.find((rule) => rule.id === ruleId)?.label || ruleId;
+}
 
-            await message.reply({ embeds: [embed] }).catch(() => {});
-        } catch (error) {
-            console.error('Failed to create pending vouch entry:', error);
-        }
+async function postModLog(guildId, payload) {
+    // Offline (cli.js, tests) there is no channel to post to; audit rows are still written.
+    if (!client.isReady()) return;
+    const channelId = await getSetting(guildId, 'mod_log_channel_id');
+    if (!channelId) return;
+    const guild = client.guilds.cache.get(guildId);
+    const channel = guild ? await guild.channels.fetch(channelId).catch(() => null) : null;
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`Mod log channel ${channelId} is not available in guild ${guildId}.`);
         return;
     }
+    await channel.send(payload).catch((error) => {
+        console.error(`Failed to post to mod log in guild ${guildId}:`, error);
+    });
+}
 
-    try {
-        const multiplier = await getMultiplier();
-        const awarded = multiplier;
-        const displayName = providerMember.displayName || providerMember.user.username;
-        const total = await changeUserBalance(providerMember.id, displayName, awarded);
+// Every admin action (and the automatic point changes moderators need to know
+// about) is written to audit_log and mirrored to the mod log channel. `unit`
+// decides how amounts and before/after values are displayed.
+const AUDIT_ACTIONS = {
+    points_added: { label: 'Points added', color: 0x2ecc71, unit: 'points' },
+    points_removed: { label: 'Points removed', color: 0xe74c3c, unit: 'points' },
+    multiplier_changed: { label: 'Multiplier changed', color: 0xe67e22, unit: 'multiplier' },
+    multiplier_event_scheduled: { label: 'Multiplier event scheduled', color: 0xe67e22, unit: 'multiplier' },
+    multiplier_event_cancelled: { label: 'Multiplier event cancelled', color: 0x95a5a6, unit: 'multiplier' },
+    vouch_approved: { label: 'Pending vouch approved', color: 0x2ecc71, unit: 'points' },
+    vouch_rejected: { label: 'Pending vouch rejected', color: 0xe74c3c, unit: null },
+    vouch_blocked: { label: 'Vouch blocked by a rule', color: 0xe67e22, unit: null },
+    vouch_overridden: { label: 'Vouch rejection overridden', color: 0x2ecc71, unit: 'points' },
+    vouch_reversed: { label: 'Vouch points reversed', color: 0xe74c3c, unit: 'points' },
+    balances_recalculated: { label: 'Balances recalculated', color: 0x3498db, unit: null },
+    history_imported: { label: 'Vouch history imported', color: 0x3498db, unit: null },
+    data_imported: { label: 'Vouch data imported', color: 0x3498db, unit: null },
+    backup_restored: { label: 'Backup restored', color: 0xe74c3c, unit: null },
+    balances_merged: { label: 'Balances merged', color: 0x3498db, unit: 'points' },
+    pending_purged: { label: 'Pending vouches purged', color: 0x95a5a6, unit: null },
+    dispute_resolved: { label: 'Dispute resolved', color: 0xc0392b, unit: 'points' },
+    points_redeemed: { label: 'Points spent in the shop', color: 0x9b59b6, unit: 'points' },
+    redemption_fulfilled: { label: 'Redemption fulfilled', color: 0x2ecc71, unit: null },
+    redemption_refunded: { label: 'Redemption refunded', color: 0xe67e22, unit: 'points' },
+    config_changed: { label: 'Configuration changed', color: 0x9b59b6, unit: null }
+};
 
-        const embed = new EmbedBuilder()
-            .setColor(0x2ecc71)
-            .setTitle('Vouch recorded!')
-            .setDescription(`${providerMember} now has **${total}** vouch points.`)
-            .addFields(
-                { name: 'Provider', value: `${providerMember}`, inline: true },
-                { name: 'Voucher', value: `${message.author}`, inline: true },
-                { name: 'Awarded', value: `${formatPoints(awarded)} (x${multiplier})`, inline: true }
-            )
-            .setTimestamp();
+function formatAuditValue(action, value) {
+    if (value === null || value === undefined || value === '') return '_none_';
+    const unit = AUDIT_ACTIONS[action]?.unit;
+    if (unit === 'points' && Number.isFinite(Number(value))) return formatPoints(Number(value));
+    if (unit === 'multiplier' && Number.isFinite(Number(value))) return `x${value}`;
+    return String(value);
+}
 
-        await message.reply({ embeds: [embed] }).catch(() => {});
+function describeAuditTarget(entry) {
+    if (entry.target_id) return `<@${entry.target_id}>`;
+    return entry.subject || null;
+}
 
-        const dmEmbed = new EmbedBuilder()
-            .setColor(0x2ecc71)
-            .setTitle('You received a vouch point!')
-            .setDescription(`You were vouched by ${message.author} in **${message.guild.name}**.`)
-            .addFields(
-                { name: 'New total', value: `${total} vouch points`, inline: true },
-                { name: 'Multiplier', value: `x${multiplier}`, inline: true }
-            )
-            .setTimestamp();
+function buildAuditEmbed(entry) {
+    const meta = AUDIT_ACTIONS[entry.action] || { label: entry.action, color: 0x95a5a6 };
+    const fields = [{ name: 'Actor', value: entry.actor_id ? `<@${entry.actor_id}>` : '_Automatic_', inline: true }];
+    const target = describeAuditTarget(entry);
+    if (target) fields.push({ name: 'Target', value: target, inline: true });
+    if (entry.amount !== null && entry.amount !== undefined) {
+        fields.push({ name: 'Amount', value: formatAuditValue(entry.action, entry.amount), inline: true });
+    }
+    if (entry.before_value !== null || entry.after_value !== null) {
+        fields.push({ name: 'Before', value: formatAuditValue(entry.action, entry.before_value), inline: true });
+        fields.push({ name: 'After', value: formatAuditValue(entry.action, entry.after_value), inline: true });
+    }
+    if (entry.channel_id && entry.message_id) {
+        fields.push({ name: 'Message', value: `[Jump to message](https://discord.com/channels/${entry.guild_id}/${entry.channel_id}/${entry.message_id})` });
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(meta.color)
+        .setTitle(meta.label)
+        .setDescription(entry.details ? truncateContent(entry.details, 2000) : null)
+        .addFields(fields)
+        .setTimestamp();
+    if (entry.id) embed.setFooter({ text: `Audit #${entry.id}` });
+    return embed;
+}
 
-        await providerMember.send({ embeds: [dmEmbed] }).catch(() => {});
+/**
+ * Records an audit event and posts it to the mod log once any surrounding
+ * transaction has committed. `event` holds action (a key of AUDIT_ACTIONS),
+ * actorId, targetId (a user), subject (what changed, for settings, roles and
+ * channels), amount, before, after, details, channelId and messageId, plus
+ * optional extra embed `fields` and an `image`. Never throws: a failed audit
+ * write must not undo the action it describes.
+ */
+async function recordAuditEvent(guildId, event) {
+    const entry = {
+        guild_id: guildId,
+        action: event.action,
+        actor_id: event.actorId || null,
+        target_id: event.targetId || null,
+        subject: event.subject || null,
+        amount: event.amount ?? null,
+        before_value: event.before ?? null,
+        after_value: event.after ?? null,
+        details: event.details || null,
+        channel_id: event.channelId || null,
+        message_id: event.messageId || null
+    };
+    try {
+        const result = await runAsync(
+            `INSERT INTO audit_log (
+                guild_id, action, actor_id, target_id, subject, amount,
+                before_value, after_value, details, channel_id, message_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.guild_id,
+                entry.action,
+                entry.actor_id,
+                entry.target_id,
+                entry.subject,
+                entry.amount,
+                entry.before_value === null ? null : String(entry.before_value),
+                entry.after_value === null ? null : String(entry.after_value),
+                entry.details,
+                entry.channel_id,
+                entry.message_id
+            ]
+        );
+        entry.id = result.lastID;
     } catch (error) {
-        console.error('Failed to process vouch message:', error);
+        console.error(`Failed to write audit event ${event.action} in guild ${guildId}:`, error);
     }
+
+    afterCommit(() => {
+        const embed = buildAuditEmbed(entry);
+        if (event.fields?.length) embed.addFields(event.fields);
+        if (event.image) embed.setImage(event.image);
+        postModLog(guildId, { embeds: [embed] }).catch(() => {});
+    });
+    return entry.id || null;
 }
 
-const slashCommands = [
+/**
+ * Records a settings change made through a slash command. `before` and `after`
+ * are display values (channel mentions, "on"/"off", numbers).
+ */
+function auditConfigChange(interaction, subject, before, after, details = null) {
+    if (before === after) return Promise.resolve(null);
+    return recordAuditEvent(interaction.guildId, {
+        action: 'config_changed',
+        actorId: interaction.user.id,
+        subject,
+        before,
+        after,
+        details
+    });
+}
+
+function channelMentionOrNone(channelId) {
+    return channelId ? `<#${channelId}>` : null;
+}
+
+const AUDIT_PAGE_SIZE = 10;
+
+function listAuditEntries(guildId, { userId = null, action = null, limit = AUDIT_PAGE_SIZE, offset = 0 } = {}) {
+    return allAsync(
+        `SELECT * FROM audit_log
+         WHERE guild_id = ?
+           AND (? IS NULL OR actor_id = ? OR target_id = ?)
+           AND (? IS NULL OR action = ?)
+         ORDER BY id DESC
+         LIMIT ? OFFSET ?`,
+        [guildId, userId, userId, userId, action, action, limit, offset]
+    );
+}
+
+async function countAuditEntries(guildId, { userId = null, action = null } = {}) {
+    const row = await getAsync(
+        `SELECT COUNT(*) AS count FROM audit_log
+         WHERE guild_id = ?
+           AND (? IS NULL OR actor_id = ? OR target_id = ?)
+           AND (? IS NULL OR action = ?)`,
+        [guildId, userId, userId, userId, action, action]
+    );
+    return row?.count || 0;
+}
+
+function formatAuditEntry(entry) {
+    const label = AUDIT_ACTIONS[entry.action]?.label || entry.action;
+    const parts = [`\`#${entry.id}\` <t:${toUnixSeconds(entry.created_at)}:f> **${label}**`];
+    parts.push(entry.actor_id ? `by <@${entry.actor_id}>` : '(automatic)');
+    const target = describeAuditTarget(entry);
+    if (target) parts.push(`→ ${target}`);
+    if (entry.amount !== null) parts.push(`• ${formatAuditValue(entry.action, entry.amount)}`);
+    if (entry.before_value !== null || entry.after_value !== null) {
+        parts.push(`• ${formatAuditValue(entry.action, entry.before_value)} → ${formatAuditValue(entry.action, entry.after_value)}`);
+    }
+    if (entry.channel_id && entry.message_id) {
+        parts.push(`• [jump](https://discord.com/channels/${entry.guild_id}/${entry.channel_id}/${entry.message_id})`);
+    }
+    return parts.join(' ');
+}
+
+async function handleAuditLogCommand(interaction) {
+    const user = interaction.options.getUser('user');
+    const filters = { userId: user?.id || null, action: interaction.options.getString('action') };
+    const total = await countAuditEntries(interaction.guildId, filters);
+    const pageCount = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+    const page = Math.min(interaction.options.getInteger('page') || 1, pageCount);
+    const entries = await listAuditEntries(interaction.guildId, {
+        ...filters,
+        offset: (page - 1) * AUDIT_PAGE_SIZE
+    });
+
+    const filterLabels = [
+        user ? `involving ${user.username}` : null,
+        filters.action ? AUDIT_ACTIONS[filters.action]?.label.toLowerCase() : null
+    ].filter(Boolean);
+    const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setTitle(`Audit log${filterLabels.length ? ` (${filterLabels.join(', ')})` : ''}`)
+        .setDescription(
+            entries.length
+                ? truncateContent(entries.map(formatAuditEntry).join('\n'), 4000)
+                : '_No matching audit events._'
+        )
+        .setFooter({ text: `Page ${page} of ${pageCount} • ${total} event${total === 1 ? '' : 's'}` })
+        .setTimestamp();
+    await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+function buildPendingVouchEmbed(author, pendingId, attachments) {
+    const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle('Vouch pending approval')
+        .setDescription('No provider was mentioned in this vouch. The provider can claim it with the buttons below or `/approvevouch`.')
+        .addFields(
+            { name: 'Voucher', value: `${author}`, inline: true },
+            { name: 'Pending ID', value: `#${pendingId}`, inline: true }
+        )
+        .setFooter({ text: 'Use /approvevouch id:<pending id> to claim this vouch.' })
+        .setTimestamp();
+
+    const firstAttachment = attachments[0];
+    if (firstAttachment?.url) {
+        embed.setImage(firstAttachment.url);
+    }
+    return embed;
+}
+
+// Component custom IDs look like `pending:<action>:<pending id>`.
+const PENDING_COMPONENT_PREFIX = 'pending';
+
+function buildPendingVouchComponents(pendingId) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${PENDING_COMPONENT_PREFIX}:approve:${pendingId}`)
+                .setLabel('Approve')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`${PENDING_COMPONENT_PREFIX}:reject:${pendingId}`)
+                .setLabel('Reject')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`${PENDING_COMPONENT_PREFIX}:assign:${pendingId}`)
+                .setLabel('Assign to provider')
+                .setStyle(ButtonStyle.Secondary)
+        )
+    ];
+}
+
+const RATING_COMPONENT_PREFIX = 'rating';
+
+function buildRatingComponents(vouchId) {
+    const row = new ActionRowBuilder();
+    for (let rating = 1; rating <= 5; rating += 1) {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${RATING_COMPONENT_PREFIX}:${vouchId}:${rating}`)
+                .setLabel(`${rating} ★`)
+                .setStyle(rating >= 4 ? ButtonStyle.Success : ButtonStyle.Secondary)
+        );
+    }
+    return [row];
+}
+
+async function handleRatingComponent(interaction) {
+    const [, rawId, rawRating] = interaction.customId.split(':');
+    const vouch = await getVouchById(interaction.guildId, Number(rawId));
+    const rating = Number(rawRating);
+    if (!vouch || vouch.status !== 'active') {
+        await interaction.reply({ content: 'That vouch no longer counts, so it cannot be rated.', ephemeral: true });
+        return;
+    }
+    if (vouch.voucher_id !== interaction.user.id) {
+        await interaction.reply({ content: 'Only the member who posted the vouch can rate it.', ephemeral: true });
+        return;
+    }
+
+    await setVouchRating(vouch, rating);
+    // Reaction-only servers get a bare prompt, which has nothing left to show.
+    if (interaction.message.embeds.length === 0) {
+        await interaction.update({ content: `Thanks! You rated ${formatStars(rating)}.`, components: [] });
+        setTimeout(() => {
+            interaction.message.delete().catch(() => {});
+        }, 5000);
+        return;
+    }
+    const embed = EmbedBuilder.from(interaction.message.embeds[0])
+        .setFooter(null)
+        .addFields({ name: 'Rating', value: formatStars(rating), inline: true });
+    await interaction.update({ embeds: [embed], components: [] });
+}
+
+function buildProviderSelectComponents(pendingId) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new UserSelectMenuBuilder()
+                .setCustomId(`${PENDING_COMPONENT_PREFIX}:assignto:${pendingId}`)
+                .setPlaceholder('Choose the provider this vouch belongs to')
+                .setMinValues(1)
+                .setMaxValues(1)
+        )
+    ];
+}
+
+async function postPendingVouchNotice(message, pendingId, attachments) {
+    const embed = buildPendingVouchEmbed(message.author, pendingId, attachments);
+    const notice = await message.reply({
+        embeds: [embed],
+        components: buildPendingVouchComponents(pendingId)
+    }).catch(() => null);
+    if (notice) {
+        await setPendingVouchNotice(pendingId, notice.channel.id, notice.id);
+    }
+}
+
+const PENDING_RESOLUTION_STYLES = {
+    approved: { color: 0x2ecc71, title: 'Vouch approved' },
+    rejected: { color: 0xe74c3c, title: 'Vouch rejected' },
+    expired: { color: 0x95a5a6, title: 'Vouch expired' }
+};
+
+/**
+ * Rewrites the pending vouch notice in place once the vouch is resolved, showing
+ * who resolved it and when, and removes its buttons.
+ */
+async function updatePendingVouchNotice(guild, pendingId) {
+    const pending = await getPendingVouchById(guild.id, pendingId);
+    if (!pending || !pending.notice_channel_id || !pending.notice_message_id) return;
+    const style = PENDING_RESOLUTION_STYLES[pending.status];
+    if (!style) return;
+
+    const channel = await guild.channels.fetch(pending.notice_channel_id).catch(() => null);
+    const notice = channel?.isTextBased() ? await channel.messages.fetch(pending.notice_message_id).catch(() => null) : null;
+    if (!notice) return;
+
+    const fields = [
+        { name: 'Voucher', value: pending.voucher_id ? `<@${pending.voucher_id}>` : (pending.voucher_tag || 'Unknown user'), inline: true },
+        { name: 'Pending ID', value: `#${pending.id}`, inline: true }
+    ];
+    if (pending.status === 'approved' && pending.provider_id) {
+        fields.push({ name: 'Provider', value: `<@${pending.provider_id}>`, inline: true });
+    }
+    if (pending.resolved_by) {
+        fields.push({ name: pending.status === 'approved' ? 'Approved by' : 'Rejected by', value: `<@${pending.resolved_by}>`, inline: true });
+    }
+    const resolvedUnix = toUnixSeconds(pending.resolved_at);
+    if (resolvedUnix) {
+        fields.push({ name: 'When', value: `<t:${resolvedUnix}:f>`, inline: true });
+    }
+    if (pending.status_reason) {
+        fields.push({ name: 'Reason', value: pending.status_reason });
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(style.color)
+        .setTitle(style.title)
+        .addFields(fields)
+        .setTimestamp();
+    if (pending.attachments[0]?.url) {
+        embed.setImage(pending.attachments[0].url);
+    }
+
+    await notice.edit({ embeds: [embed], components: [] }).catch((error) => {
+        console.error(`Failed to update pending vouch notice #${pending.id}:`, error);
+    });
+}
+
+async function logVouchRejection(guildId, rejectionId, entry, rejection) {
+    const fields = [
+        { name: 'Provider', value: entry.providerId ? `<@${entry.providerId}>` : '_Not mentioned_', inline: true },
+        { name: 'Rule', value: rejection.label, inline: true }
+    ];
+    if (entry.pendingId) {
+        fields.push({ name: 'Pending vouch', value: `#${entry.pendingId}`, inline: true });
+    }
+    await recordAuditEvent(guildId, {
+        action: 'vouch_blocked',
+        targetId: entry.voucherId,
+        details: `Rejection #${rejectionId}: ${rejection.reason}\nUse \`/vouchoverride id:${rejectionId}\` to count it anyway.`,
+        channelId: entry.channelId,
+        messageId: entry.messageId,
+        fields
+    });
+}
+
+async function rejectVouchMessage(message, providerMember, attachments, rejection, { quiet = false, replyInChannel = true } = {}) {
+    const entry = {
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        messageId: message.id,
+        voucherId: message.author.id,
+        voucherTag: getSafeUserTag(message.author),
+        providerId: providerMember?.id || null,
+        ruleId: rejection.ruleId,
+        reason: rejection.reason,
+        messageContent: message.content || '',
+        attachments
+    };
+    const rejectionId = await createRejectedVouch(entry);
+    if (quiet) return;
+
+    if (replyInChannel) {
+        const embed = new EmbedBuilder()
+            .setColor(0xe67e22)
+            .setTitle('Vouch not counted')
+            .setDescription(rejection.reason)
+            .setFooter({ text: 'A moderator can review this decision.' })
+            .setTimestamp();
+        await replyToVouch(message, { embeds: [embed] }, '🚫');
+    }
+
+    await logVouchRejection(message.guild.id, rejectionId, entry, rejection);
+}
+
+/**
+ * Awards the current multiplier to a provider for a vouch and links the award
+ * to its source message. Used for mentioned providers, approved pending vouches
+ * and moderator overrides alike. Vouches imported from history pass `occurredAt`
+ * and earn the multiplier that was in effect when they were posted. The balance,
+ * ledger entry and vouch row are written in one transaction.
+ */
+function awardVouch(guildId, entry) {
+    return withTransaction(() => writeVouchAward(guildId, entry));
+}
+
+async function writeVouchAward(guildId, entry) {
+    const multiplier = entry.multiplier ?? (entry.occurredAt ? await getMultiplierAt(guildId, entry.occurredAt) : await getMultiplier(guildId));
+    const weight = entry.weight || 1;
+    const awarded = entry.points ?? multiplier * weight;
+    const change = await adjustBalance(guildId, entry.providerId, entry.providerName, awarded, {
+        reason: entry.reason || (entry.pendingId ? 'pending_approval' : 'vouch'),
+        actorId: entry.actorId,
+        sourceChannelId: entry.channelId,
+        sourceMessageId: entry.messageId,
+        pendingId: entry.pendingId,
+        multiplier,
+        weight,
+        occurredAt: entry.occurredAt
+    });
+    await recordVouchAward({
+        guildId,
+        channelId: entry.channelId,
+        messageId: entry.messageId,
+        voucherId: entry.voucherId,
+        providerId: entry.providerId,
+        points: awarded,
+        multiplier,
+        weight,
+        pendingId: entry.pendingId,
+        attachments: entry.attachments,
+        rating: parseVouchRating(entry.content),
+        review: extractVouchReview(entry.content),
+        occurredAt: entry.occurredAt
+    });
+    const vouch = await getVouchByMessageAndProvider(entry.messageId, entry.providerId);
+    return {
+        total: change.after,
+        before: change.before,
+        awarded,
+        multiplier,
+        weight,
+        vouchId: vouch?.id || null,
+        rating: vouch?.rating || null
+    };
+}
+
+const MULTI_PROVIDER_MODES = {
+    full: 'Full points for every provider',
+    split: 'One vouch\'s points split between providers'
+};
+
+/**
+ * Shares one vouch's worth of points between several providers. The pool is
+ * the providers' average solo award (multiplier times role weight), rounded
+ * down, so a split vouch never pays out more than a single vouch. It is shared
+ * in proportion to each solo award; leftover points go to the largest
+ * remainders, ties to the provider listed first. Providers can end up with 0.
+ */
+function splitVouchPoints(soloAwards) {
+    const total = soloAwards.reduce((sum, points) => sum + points, 0);
+    const pool = Math.floor(total / soloAwards.length);
+    const shares = soloAwards.map((points) => (pool * points) / total);
+    const result = shares.map((share) => Math.floor(share));
+    const leftover = pool - result.reduce((sum, points) => sum + points, 0);
+    shares
+        .map((share, index) => ({ index, remainder: share - result[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .slice(0, leftover)
+        .forEach(({ index }) => { result[index] += 1; });
+    return result;
+}
+
+/**
+ * Awards one vouch message to every provider it credits, in one transaction.
+ * `providers` is a list of { id, name, weight }; the rest of `entry` is passed
+ * to awardVouch for each. Resolves with { split, awards } where awards follow
+ * the order of `providers` and carry the `providerId` they belong to.
+ */
+function awardGroupVouch(guildId, providers, entry) {
+    return withTransaction(async () => {
+        const multiplier = entry.occurredAt ? await getMultiplierAt(guildId, entry.occurredAt) : await getMultiplier(guildId);
+        const split = providers.length > 1 && (await getSetting(guildId, 'multi_provider_mode', 'full')) === 'split';
+        const points = split ? splitVouchPoints(providers.map((provider) => multiplier * (provider.weight || 1))) : null;
+        const awards = [];
+        for (const [index, provider] of providers.entries()) {
+            // A provider left with nothing gets no vouch row, ledger entry or DM.
+            if (points && points[index] <= 0) continue;
+            const award = await writeVouchAward(guildId, {
+                ...entry,
+                providerId: provider.id,
+                providerName: provider.name,
+                weight: provider.weight,
+                multiplier,
+                points: points ? points[index] : undefined
+            });
+            awards.push({ providerId: provider.id, ...award });
+        }
+        return { split, awards };
+    });
+}
+
+async function getProviderWeight(member) {
+    if (!member) return 0;
+    return providerWeightFor(member, await resolveProviderRoles(member.guild));
+}
+
+async function isProviderMember(member) {
+    return (await getProviderWeight(member)) > 0;
+}
+
+/**
+ * Marks a pending vouch approved and pays it out in one transaction, so a vouch
+ * is never left approved without its points or paid twice by racing approvals.
+ * `provider` is { id, tag, name, weight }.
+ */
+function claimPendingVouch(guildId, pending, provider, actorId) {
+    return withTransaction(async () => {
+        const approved = await markPendingVouchApproved(pending.id, provider.id, provider.tag, actorId);
+        if (!approved) {
+            return { error: 'That vouch has already been resolved.' };
+        }
+        return awardVouch(guildId, {
+            channelId: pending.channel_id,
+            messageId: pending.message_id,
+            voucherId: pending.voucher_id,
+            providerId: provider.id,
+            providerName: provider.name,
+            weight: provider.weight,
+            actorId,
+            pendingId: pending.id,
+            attachments: pending.attachments,
+            content: pending.message_content
+        });
+    });
+}
+
+/**
+ * Claims a pending vouch for a provider after checking the anti-abuse rules.
+ * `actor` is whoever approved it: the provider themselves or the moderator who
+ * assigned it. Resolves with { total, awarded, multiplier } on success or
+ * { error } explaining why nothing was awarded.
+ */
+async function approvePendingVouch(guild, pending, providerMember, actor) {
+    if (pending.status !== 'pending') {
+        return { error: `That vouch has already been ${pending.status}.` };
+    }
+
+    const verdict = await evaluateVouchRules(guild, {
+        voucherId: pending.voucher_id,
+        providerId: providerMember.id,
+        messageId: pending.message_id
+    });
+    if (verdict.rejection) {
+        const entry = {
+            guildId: guild.id,
+            channelId: pending.channel_id,
+            messageId: pending.message_id,
+            voucherId: pending.voucher_id,
+            voucherTag: pending.voucher_tag,
+            providerId: providerMember.id,
+            pendingId: pending.id,
+            ruleId: verdict.rejection.ruleId,
+            reason: verdict.rejection.reason,
+            messageContent: pending.message_content,
+            attachments: pending.attachments
+        };
+        const rejectionId = await createRejectedVouch(entry);
+        await logVouchRejection(guild.id, rejectionId, entry, verdict.rejection);
+        return { error: `This vouch can't be claimed: ${verdict.rejection.reason}` };
+    }
+
+    const result = await claimPendingVouch(guild.id, pending, {
+        id: providerMember.id,
+        tag: getSafeUserTag(providerMember.user),
+        name: providerMember.displayName || providerMember.user.username,
+        weight: await getProviderWeight(providerMember)
+    }, actor.id);
+    if (result.error) return result;
+    await recordAuditEvent(guild.id, {
+        action: 'vouch_approved',
+        actorId: actor.id,
+        targetId: providerMember.id,
+        amount: result.awarded,
+        before: result.before,
+        after: result.total,
+        details: `Pending vouch #${pending.id}${actor.id === providerMember.id ? ' claimed by the provider' : ' assigned by a moderator'}.`,
+        channelId: pending.channel_id,
+        messageId: pending.message_id
+    });
+    await updatePendingVouchNotice(guild, pending.id);
+    return result;
+}
+
+// How the bot reaches a member about their vouches in each server:
+// 'instant' DMs right away, 'digest' collects them into one DM a day and
+// 'off' sends nothing.
+const DM_MODES = {
+    instant: 'Instant DMs',
+    digest: 'Daily digest',
+    off: 'No DMs'
+};
+const DEFAULT_DIGEST_HOUR_UTC = 18;
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DIGEST_MAX_LINES = 25;
+
+async function getDmMode(guildId, userId) {
+    const row = await getAsync(
+        'SELECT dm_mode FROM notification_preferences WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+    );
+    return DM_MODES[row?.dm_mode] ? row.dm_mode : 'instant';
+}
+
+async function setDmMode(guildId, userId, mode) {
+    await withTransaction(async () => {
+        await runAsync(
+            `INSERT INTO notification_preferences (guild_id, user_id, dm_mode, updated_at)
+             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(guild_id, user_id) DO UPDATE SET dm_mode = excluded.dm_mode, updated_at = CURRENT_TIMESTAMP`,
+            [guildId, userId, mode]
+        );
+        if (mode === 'off') {
+            await runAsync('DELETE FROM notification_digest WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+        }
+    });
+}
+
+function queueDigestItem(guildId, userId, summary, points = 0) {
+    return runAsync(
+        'INSERT INTO notification_digest (guild_id, user_id, summary, points) VALUES (?, ?, ?, ?)',
+        [guildId, userId, summary, points]
+    );
+}
+
+/**
+ * DMs `recipient` (a User or GuildMember) according to their preference in
+ * this guild. `digestLine` is the one-line summary used in the daily digest.
+ * DM failures (closed DMs, blocked bot) are ignored like everywhere else.
+ */
+async function notifyMember(guild, recipient, embed, digestLine, points = 0) {
+    if (!recipient) return;
+    const mode = await getDmMode(guild.id, recipient.id);
+    if (mode === 'off') return;
+    if (mode === 'digest') {
+        await queueDigestItem(guild.id, recipient.id, digestLine, points);
+        return;
+    }
+    await recipient.send({ embeds: [embed] }).catch(() => {});
+}
+
+function buildDigestEmbed(guild, items) {
+    const shown = items.slice(0, DIGEST_MAX_LINES);
+    const more = items.length - shown.length;
+    const gained = items.reduce((sum, item) => sum + (item.points || 0), 0);
+    const embed = new EmbedBuilder()
+        .setColor(0x3498db)
+        .setTitle(`Your vouch digest for ${guild.name}`)
+        .setDescription(
+            truncateContent(
+                shown.map((item) => `• ${item.summary}`).join('\n') + (more > 0 ? `\n…and ${more} more.` : ''),
+                4000
+            )
+        )
+        .setFooter({ text: 'Change how you are notified with /vouchsettings notifications.' })
+        .setTimestamp();
+    if (gained) {
+        embed.addFields({ name: 'Points gained', value: formatPoints(gained), inline: true });
+    }
+    return embed;
+}
+
+async function sendGuildDigests(guild) {
+    const recipients = await allAsync(
+        'SELECT user_id, MAX(id) AS last_id FROM notification_digest WHERE guild_id = ? GROUP BY user_id',
+        [guild.id]
+    );
+    for (const recipient of recipients) {
+        const items = await allAsync(
+            'SELECT summary, points FROM notification_digest WHERE guild_id = ? AND user_id = ? AND id <= ? ORDER BY id',
+            [guild.id, recipient.user_id, recipient.last_id]
+        );
+        const user = await client.users.fetch(recipient.user_id).catch(() => null);
+        if (user && items.length) {
+            await user.send({ embeds: [buildDigestEmbed(guild, items)] }).catch(() => {});
+        }
+        // Undeliverable digests are dropped rather than retried forever.
+        await runAsync(
+            'DELETE FROM notification_digest WHERE guild_id = ? AND user_id = ? AND id <= ?',
+            [guild.id, recipient.user_id, recipient.last_id]
+        );
+    }
+}
+
+async function getDigestHour(guildId) {
+    const hour = Number(await getSetting(guildId, 'digest_hour_utc', String(DEFAULT_DIGEST_HOUR_UTC)));
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_DIGEST_HOUR_UTC;
+}
+
+/**
+ * Sends each guild's queued digests once a day, at the first check after the
+ * guild's digest hour (UTC).
+ */
+async function sendDueDigests(now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            if (now.getUTCHours() < await getDigestHour(guild.id)) continue;
+            if (await getSetting(guild.id, 'digest_last_sent') === today) continue;
+            await setSetting(guild.id, 'digest_last_sent', today);
+            await sendGuildDigests(guild);
+        } catch (error) {
+            console.error(`Failed to send vouch digests for guild ${guild.id}:`, error);
+        }
+    }
+}
+
+// Public replies to vouches: 'embed' posts the full embed, 'reaction' only
+// reacts to the vouch message and 'autodelete' posts the embed and removes it
+// after `reply_delete_minutes`.
+const REPLY_STYLES = {
+    embed: 'Full embed',
+    reaction: 'Reaction only',
+    autodelete: 'Embed that deletes itself'
+};
+const DEFAULT_REPLY_DELETE_MINUTES = 10;
+
+async function getReplyStyle(guildId) {
+    const style = await getSetting(guildId, 'reply_style', 'embed');
+    const minutes = Number(await getSetting(guildId, 'reply_delete_minutes', String(DEFAULT_REPLY_DELETE_MINUTES)));
+    return {
+        style: REPLY_STYLES[style] ? style : 'embed',
+        deleteAfterMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_REPLY_DELETE_MINUTES
+    };
+}
+
+/**
+ * Answers a vouch message in the guild's reply style. `reaction` is the emoji
+ * used when the guild only wants reactions; any buttons in the payload are then
+ * posted with the short `prompt` instead of the embed and cleaned up like an
+ * autodelete reply.
+ */
+async function replyToVouch(message, payload, reaction, prompt = null) {
+    const { style, deleteAfterMinutes } = await getReplyStyle(message.guild.id);
+    let reply = null;
+    if (style === 'reaction') {
+        await message.react(reaction).catch(() => {});
+        if (!payload.components?.length) return;
+        reply = await message.reply({ content: prompt, components: payload.components, allowedMentions: { repliedUser: false } }).catch(() => null);
+    } else {
+        reply = await message.reply(payload).catch(() => null);
+    }
+    if (reply && style !== 'embed') {
+        // Not persisted: replies pending deletion when the bot restarts stay up.
+        setTimeout(() => {
+            reply.delete().catch(() => {});
+        }, deleteAfterMinutes * 60 * 1000);
+    }
+}
+
+async function handleNotificationSettingsCommand(interaction) {
+    const mode = interaction.options.getString('dms');
+    if (mode) {
+        await setDmMode(interaction.guildId, interaction.user.id, mode);
+    }
+    const current = await getDmMode(interaction.guildId, interaction.user.id);
+    const digestHour = await getDigestHour(interaction.guildId);
+    const explanation = {
+        instant: 'You will get a DM for every vouch, approval or rejection that involves you here.',
+        digest: `Vouch DMs from this server are collected and sent once a day after ${String(digestHour).padStart(2, '0')}:00 UTC.`,
+        off: 'You will not get any vouch DMs from this server. Your points are still tracked.'
+    }[current];
+    await interaction.reply({
+        content: `${mode ? 'Saved. ' : ''}Notifications in **${interaction.guild.name}**: **${DM_MODES[current]}**.\n${explanation}`,
+        ephemeral: true
+    });
+}
+
+function buildApprovedVouchEmbed(pending, result, description) {
+    const voucherMention = pending.voucher_id ? `<@${pending.voucher_id}>` : (pending.voucher_tag || 'Unknown user');
+    const messageLink = `https://discord.com/channels/${pending.guild_id}/${pending.channel_id}/${pending.message_id}`;
+
+    const embed = new EmbedBuilder()
+        .setColor(0x2ecc71)
+        .setTitle('Pending vouch approved!')
+        .setDescription(description)
+        .addFields(
+            { name: 'Voucher', value: voucherMention, inline: true },
+            { name: 'New total', value: `${result.total} vouch points`, inline: true },
+            { name: 'Original message', value: `[View message](${messageLink})` }
+        )
+        .setTimestamp();
+
+    if (pending.attachments[0]?.url) {
+        embed.setImage(pending.attachments[0].url);
+    }
+    return embed;
+}
+
+async function notifyProviderOfApproval(guild, pending, providerUser, result, assignedBy = null) {
+    const voucherMention = pending.voucher_id ? `<@${pending.voucher_id}>` : (pending.voucher_tag || 'Unknown user');
+    const dmEmbed = new EmbedBuilder()
+        .setColor(0x2ecc71)
+        .setTitle(assignedBy ? 'A vouch was assigned to you!' : 'You approved a vouch!')
+        .setDescription(
+            assignedBy
+                ? `${assignedBy} assigned you a pending vouch from ${voucherMention} in **${guild.name}**.`
+                : `You claimed a pending vouch from ${voucherMention} in **${guild.name}**.`
+        )
+        .addFields(
+            { name: 'Awarded', value: `${formatPoints(result.awarded)} (x${result.multiplier})`, inline: true },
+            { name: 'New total', value: `${result.total} vouch points`, inline: true }
+        )
+        .setTimestamp();
+
+    await notifyMember(
+        guild,
+        providerUser,
+        dmEmbed,
+        `${assignedBy ? `${assignedBy} assigned you` : 'You claimed'} pending vouch #${pending.id} from ${voucherMention}: +${formatPoints(result.awarded)} (total ${result.total})`,
+        result.awarded
+    );
+}
+
+async function rejectPendingVouch(guild, pending, moderator, reason) {
+    if (pending.status !== 'pending') {
+        return { error: `That vouch has already been ${pending.status}.` };
+    }
+    const rejected = await markPendingVouchRejected(pending.id, moderator.id, reason);
+    if (!rejected) {
+        return { error: 'That vouch has already been resolved.' };
+    }
+    await updatePendingVouchNotice(guild, pending.id);
+
+    const messageLink = `https://discord.com/channels/${pending.guild_id}/${pending.channel_id}/${pending.message_id}`;
+    const voucher = pending.voucher_id ? await client.users.fetch(pending.voucher_id).catch(() => null) : null;
+    if (voucher) {
+        const dmEmbed = new EmbedBuilder()
+            .setColor(0xe74c3c)
+            .setTitle('Your vouch was rejected')
+            .setDescription(`Your pending vouch #${pending.id} in **${guild.name}** was rejected by a moderator.`)
+            .addFields(
+                { name: 'Reason', value: reason },
+                { name: 'Original message', value: `[View message](${messageLink})` }
+            )
+            .setTimestamp();
+        await notifyMember(guild, voucher, dmEmbed, `Your pending vouch #${pending.id} was rejected: ${reason}`);
+    }
+
+    await recordAuditEvent(guild.id, {
+        action: 'vouch_rejected',
+        actorId: moderator.id,
+        targetId: pending.voucher_id,
+        details: `Pending vouch #${pending.id}: ${reason}`,
+        channelId: pending.channel_id,
+        messageId: pending.message_id
+    });
+    return { rejected: true };
+}
+
+const DEFAULT_PENDING_EXPIRY_HOURS = 168;
+
+async function getPendingExpiryHours(guildId) {
+    const raw = Number(await getSetting(guildId, 'pending_expiry_hours', String(DEFAULT_PENDING_EXPIRY_HOURS)));
+    return Number.isFinite(raw) && raw > 0 ? raw : 0;
+}
+
+async function expirePendingVouchesForGuild(guild) {
+    const maxAgeHours = await getPendingExpiryHours(guild.id);
+    if (!maxAgeHours) return;
+    const expired = await expireStalePendingVouches(guild.id, maxAgeHours);
+    if (expired.length === 0) return;
+    for (const entry of expired) {
+        await updatePendingVouchNotice(guild, entry.id);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x95a5a6)
+        .setTitle(`${expired.length} pending vouch${expired.length === 1 ? '' : 'es'} expired`)
+        .setDescription(
+            expired
+                .slice(0, 20)
+                .map((entry) => `\`#${entry.id}\` by <@${entry.voucher_id}> • https://discord.com/channels/${guild.id}/${entry.channel_id}/${entry.message_id}`)
+                .join('\n')
+        )
+        .setFooter({ text: `Unclaimed for more than ${maxAgeHours} hours.` })
+        .setTimestamp();
+    await postModLog(guild.id, { embeds: [embed] });
+}
+
+async function expirePendingVouches() {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            await expirePendingVouchesForGuild(guild);
+        } catch (error) {
+            console.error(`Failed to expire pending vouches for guild ${guild.id}:`, error);
+        }
+    }
+}
+
+const DURATION_UNITS_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: DAY_MS,
+    w: 7 * DAY_MS
+};
+
+// Parses durations such as "90m", "48h" or "1d12h" into milliseconds.
+function parseDuration(text) {
+    const cleaned = String(text || '').trim().toLowerCase().replace(/\s+/g, '');
+    if (!/^(\d+[mhdw])+$/.test(cleaned)) return null;
+    let total = 0;
+    for (const [, amount, unit] of cleaned.matchAll(/(\d+)([mhdw])/g)) {
+        total += Number(amount) * DURATION_UNITS_MS[unit];
+    }
+    return total > 0 ? total : null;
+}
+
+// Accepts a relative duration ("2h" from now), a unix timestamp or an ISO-like
+// date; dates without a timezone are read as UTC.
+function parseStartTime(text, now = new Date()) {
+    if (!text) return now;
+    const relative = parseDuration(text);
+    if (relative) return new Date(now.getTime() + relative);
+    const trimmed = text.trim();
+    if (/^\d{10}$/.test(trimmed)) return new Date(Number(trimmed) * 1000);
+    const hasZone = /(z|[+-]\d{2}:?\d{2})$/i.test(trimmed);
+    const parsed = Date.parse(hasZone ? trimmed : `${trimmed.replace(' ', 'T')}Z`);
+    return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+function describeMultiplierEvent(event) {
+    const label = event.name ? `**${event.name}**` : `Event #${event.id}`;
+    const start = toUnixSeconds(event.starts_at);
+    const end = toUnixSeconds(event.ends_at);
+    return `${label} — x${event.value} from <t:${start}:f> until <t:${end}:f> (\`#${event.id}\`)`;
+}
+
+async function announceMultiplierEvent(event, phase) {
+    const channelId = await getSetting(event.guild_id, 'multiplier_announce_channel_id');
+    if (!channelId) return;
+    const guild = client.guilds.cache.get(event.guild_id);
+    const channel = guild ? await guild.channels.fetch(channelId).catch(() => null) : null;
+    if (!channel || !channel.isTextBased()) return;
+
+    const current = await getMultiplier(event.guild_id);
+    const name = event.name || `Multiplier event #${event.id}`;
+    const embed = new EmbedBuilder().setTimestamp();
+    if (phase === 'start') {
+        const end = toUnixSeconds(event.ends_at);
+        embed
+            .setColor(0xe67e22)
+            .setTitle(`🚀 ${name} has started!`)
+            .setDescription(`Vouches now earn **x${event.value}** points until <t:${end}:f> (<t:${end}:R>).`);
+    } else {
+        embed
+            .setColor(0x95a5a6)
+            .setTitle(`${name} has ${phase === 'cancel' ? 'been cancelled' : 'ended'}`)
+            .setDescription(`The vouch multiplier is now **x${current}**.`);
+    }
+    await channel.send({ embeds: [embed] }).catch((error) => {
+        console.error(`Failed to announce multiplier event ${event.id}:`, error);
+    });
+}
+
+async function processMultiplierEvents() {
+    try {
+        const { starting, ending } = await listDueMultiplierEventTransitions();
+        for (const event of ending) {
+            if (await setMultiplierEventStatus(event.id, 'ended', ['scheduled', 'active'])) {
+                await announceMultiplierEvent(event, 'end');
+            }
+        }
+        for (const event of starting) {
+            if (await setMultiplierEventStatus(event.id, 'active', ['scheduled'])) {
+                await announceMultiplierEvent(event, 'start');
+            }
+        }
+    } catch (error) {
+        console.error('Failed to process multiplier events:', error);
+    }
+}
+
+/**
+ * The members a message mentions. Mentions on older messages only resolve to
+ * members that happen to be cached, so with `fetch` the mentioned users are
+ * fetched from the guild; users who have since left are dropped.
+ */
+async function resolveMentionedMembers(message, { fetch = false } = {}) {
+    const cached = message.mentions?.members;
+    const userIds = [...(message.mentions?.users?.keys() || [])];
+    if (!fetch || userIds.length === 0) return cached ? [...cached.values()] : [];
+    try {
+        const fetched = await message.guild.members.fetch({ user: userIds });
+        return [...fetched.values()];
+    } catch (error) {
+        console.error(`Failed to fetch the members mentioned in message ${message.id}:`, error);
+        return cached ? [...cached.values()] : [];
+    }
+}
+
+/**
+ * Runs a message through the vouch pipeline: provider detection, anti-abuse
+ * rules, then an award or a pending entry. Resolves with what happened:
+ * 'awarded', 'pending', 'rejected' or 'skipped'.
+ *
+ * With `backfill` the message is judged as of when it was posted and nothing is
+ * posted to the channel or sent to members. With `dryRun` nothing is written.
+ */
+async function processVouchMessage(message, { backfill = false, dryRun = false } = {}) {
+    if (message.author.bot) return 'skipped';
+    if (!message.guild) return 'skipped';
+    if (!(await isVouchMessage(message))) return 'skipped';
+
+    const providerRoles = await resolveProviderRoles(message.guild);
+    if (providerRoles.length === 0) return 'skipped';
+
+    const attachments = [...message.attachments.values()].filter((att) => isImageAttachment(att));
+    if (attachments.length === 0) return 'skipped';
+
+    const mentionedMembers = await resolveMentionedMembers(message, { fetch: backfill });
+    const providerMembers = mentionedMembers.filter((member) => providerWeightFor(member, providerRoles) > 0);
+
+    // Rules such as self-vouching and cooldowns depend on the provider, so each
+    // mentioned provider is checked on its own. The image hashes are shared.
+    const at = backfill ? message.createdTimestamp : Date.now();
+    let imageHashes = null;
+    const credited = [];
+    const blocked = [];
+    for (const member of providerMembers.length ? providerMembers : [null]) {
+        const verdict = await evaluateVouchRules(message.guild, {
+            voucherId: message.author.id,
+            providerId: member?.id || null,
+            messageId: message.id,
+            attachments,
+            at,
+            imageHashes
+        });
+        imageHashes = verdict.imageHashes;
+        if (verdict.rejection) {
+            blocked.push({ member, rejection: verdict.rejection });
+        } else {
+            credited.push(member);
+        }
+    }
+    if (credited.length === 0) {
+        if (!dryRun) {
+            for (const [index, { member, rejection }] of blocked.entries()) {
+                await rejectVouchMessage(message, member, attachments, rejection, { quiet: backfill, replyInChannel: index === 0 });
+            }
+        }
+        return 'rejected';
+    }
+    if (dryRun) return providerMembers.length ? 'awarded' : 'pending';
+
+    if (providerMembers.length === 0) {
+        const pendingId = await createPendingVouch({
+            guildId: message.guild.id,
+            channelId: message.channel.id,
+            messageId: message.id,
+            voucherId: message.author.id,
+            voucherTag: getSafeUserTag(message.author),
+            messageContent: message.content || '',
+            attachments
+        });
+
+        await recordImageHashes(message.guild.id, message.channel.id, message.id, imageHashes);
+        if (!backfill) {
+            await postPendingVouchNotice(message, pendingId, attachments);
+        }
+        return 'pending';
+    }
+
+    const { split, awards } = await awardGroupVouch(
+        message.guild.id,
+        credited.map((member) => ({
+            id: member.id,
+            name: member.displayName || member.user.username,
+            weight: providerWeightFor(member, providerRoles)
+        })),
+        {
+            channelId: message.channel.id,
+            messageId: message.id,
+            voucherId: message.author.id,
+            actorId: message.author.id,
+            attachments,
+            content: message.content,
+            reason: backfill ? 'backfill' : null,
+            occurredAt: backfill ? message.createdAt : null
+        }
+    );
+    await recordImageHashes(message.guild.id, message.channel.id, message.id, imageHashes);
+    for (const { member, rejection } of blocked) {
+        await rejectVouchMessage(message, member, attachments, rejection, { quiet: backfill, replyInChannel: false });
+    }
+    if (backfill) return 'awarded';
+
+    // A split can leave providers with 0 points and no award of their own.
+    const awardedMembers = awards.map((award) => credited.find((member) => member.id === award.providerId));
+    const unpaidMembers = credited.filter((member) => !awards.some((award) => award.providerId === member.id));
+    const { multiplier, vouchId, rating } = awards[0];
+    const disputes = await getDisputeCounts(message.guild.id);
+    const disputeNote = (member) => {
+        const badge = describeDisputeCounts(disputes.get(member.id));
+        return badge ? ` (${badge})` : '';
+    };
+    const embed = new EmbedBuilder()
+        .setColor(0x2ecc71)
+        .setTitle('Vouch recorded!')
+        .setTimestamp();
+    if (credited.length === 1) {
+        embed
+            .setDescription(`${awardedMembers[0]} now has **${awards[0].total}** vouch points.${disputeNote(awardedMembers[0])}`)
+            .addFields(
+                { name: 'Provider', value: `${awardedMembers[0]}`, inline: true },
+                { name: 'Voucher', value: `${message.author}`, inline: true },
+                { name: 'Awarded', value: `${formatPoints(awards[0].awarded)} (x${multiplier})`, inline: true }
+            );
+    } else {
+        embed
+            .setDescription(`${credited.length} providers were credited${split ? ' and shared one vouch\'s points' : ''}.`)
+            .addFields(
+                {
+                    name: 'Awards',
+                    value: [
+                        ...awards.map((award, index) => `${awardedMembers[index]}: +${formatPoints(award.awarded)} • new total **${award.total}**${disputeNote(awardedMembers[index])}`),
+                        ...unpaidMembers.map((member) => `${member}: nothing left over after the split`)
+                    ].join('\n')
+                },
+                { name: 'Voucher', value: `${message.author}`, inline: true },
+                { name: 'Multiplier', value: `x${multiplier}`, inline: true }
+            );
+    }
+    if (blocked.length) {
+        embed.addFields({
+            name: 'Not credited',
+            value: blocked.map(({ member, rejection }) => `${member}: ${rejection.reason}`).join('\n')
+        });
+    }
+
+    if (rating) {
+        embed.addFields({ name: 'Rating', value: formatStars(rating), inline: true });
+        await replyToVouch(message, { embeds: [embed] }, '✅');
+    } else {
+        const prompt = `${getSafeUserTag(message.author)}, how would you rate ${credited.length === 1 ? 'this provider' : 'these providers'}?`;
+        embed.setFooter({ text: prompt });
+        await replyToVouch(message, { embeds: [embed], components: vouchId ? buildRatingComponents(vouchId) : [] }, '✅', prompt);
+    }
+
+    for (const [index, award] of awards.entries()) {
+        const member = awardedMembers[index];
+        const others = credited.filter((other) => other.id !== member.id);
+        const dmEmbed = new EmbedBuilder()
+            .setColor(0x2ecc71)
+            .setTitle('You received a vouch point!')
+            .setDescription(`You were vouched by ${message.author} in **${message.guild.name}**.`)
+            .addFields(
+                { name: 'Awarded', value: formatPoints(award.awarded), inline: true },
+                { name: 'New total', value: `${award.total} vouch points`, inline: true },
+                { name: 'Multiplier', value: `x${award.multiplier}`, inline: true }
+            )
+            .setTimestamp();
+        if (others.length) {
+            dmEmbed.addFields({
+                name: split ? 'Split with' : 'Also credited',
+                value: others.map((other) => `${other}`).join(', ')
+            });
+        }
+
+        await notifyMember(
+            message.guild,
+            member,
+            dmEmbed,
+            `Vouched by ${message.author} in ${message.channel}: +${formatPoints(award.awarded)} (total ${award.total})`,
+            award.awarded
+        );
+    }
+    return 'awarded';
+}
+
+async function handleVouchMessage(message) {
+    try {
+        await processVouchMessage(message);
+    } catch (error) {
+        console.error('Failed to process vouch message:', error);
+    }
+}
+
+/**
+ * Takes back the points of an active award. `status` is 'reversed' when the
+ * vouch no longer counts at all and 'converted' when it goes back to pending.
+ * Resolves with the balance change, or null if the award was already closed.
+ */
+function reverseVouchAward(vouch, status) {
+    return withTransaction(async () => {
+        const closed = await closeVouchAward(vouch.id, status);
+        if (!closed) return null;
+        return adjustBalance(vouch.guild_id, vouch.provider_id, null, -vouch.points, {
+            reason: status === 'converted' ? 'vouch_converted' : 'vouch_reversed',
+            sourceChannelId: vouch.channel_id,
+            sourceMessageId: vouch.message_id,
+            pendingId: vouch.pending_id,
+            multiplier: vouch.multiplier,
+            weight: vouch.weight
+        });
+    });
+}
+
+async function logVouchReversal(vouch, change, reason, extraFields = []) {
+    await recordAuditEvent(vouch.guild_id, {
+        action: 'vouch_reversed',
+        targetId: vouch.provider_id,
+        amount: change.delta,
+        before: change.before,
+        after: change.after,
+        details: reason,
+        channelId: vouch.channel_id,
+        messageId: vouch.message_id,
+        fields: [
+            { name: 'Voucher', value: vouch.voucher_id ? `<@${vouch.voucher_id}>` : 'Unknown user', inline: true },
+            ...extraFields
+        ]
+    });
+}
+
+async function reverseAwardsForDeletedMessage(guildId, messageId) {
+    await deleteUnapprovedPendingVouchesForMessage(guildId, messageId);
+    await deleteImageHashesForMessage(guildId, messageId);
+    const vouches = await listActiveVouchesForMessage(guildId, messageId);
+    for (const vouch of vouches) {
+        const change = await reverseVouchAward(vouch, 'reversed');
+        if (!change) continue;
+        await logVouchReversal(vouch, change, 'The vouch message was deleted.');
+    }
+}
+
+async function handleVouchMessageDelete(message) {
+    if (!message.guildId) return;
+    await reverseAwardsForDeletedMessage(message.guildId, message.id);
+}
+
+async function handleVouchMessageBulkDelete(messages) {
+    for (const message of messages.values()) {
+        await handleVouchMessageDelete(message);
+    }
+}
+
+// An edited vouch loses its award when the image is removed, and goes back to
+// pending when the mentioned provider is edited out but the image remains.
+// Awards that came from /approvevouch never relied on a mention, so only the
+// image matters for them.
+async function handleVouchMessageUpdate(oldMessage, newMessage) {
+    if (!newMessage.guildId) return;
+    const vouches = await listActiveVouchesForMessage(newMessage.guildId, newMessage.id);
+    if (vouches.length === 0) return;
+
+    const message = newMessage.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+    if (!message) return;
+
+    const attachments = [...message.attachments.values()].filter((att) => isImageAttachment(att));
+    let pendingId = null;
+
+    for (const vouch of vouches) {
+        if (attachments.length === 0) {
+            const change = await reverseVouchAward(vouch, 'reversed');
+            if (!change) continue;
+            await logVouchReversal(vouch, change, 'The image was removed from the vouch message.');
+            continue;
+        }
+
+        if (vouch.pending_id || message.mentions.users.has(vouch.provider_id)) continue;
+
+        const change = await reverseVouchAward(vouch, 'converted');
+        if (!change) continue;
+
+        if (!pendingId) {
+            pendingId = await createPendingVouch({
+                guildId: message.guild.id,
+                channelId: message.channel.id,
+                messageId: message.id,
+                voucherId: message.author.id,
+                voucherTag: getSafeUserTag(message.author),
+                messageContent: message.content || '',
+                attachments
+            });
+            await postPendingVouchNotice(message, pendingId, attachments);
+        }
+
+        await logVouchReversal(vouch, change, 'The provider mention was edited out of the vouch message.', [
+            { name: 'Returned to pending', value: `#${pendingId}`, inline: true }
+        ]);
+    }
+
+    if (oldMessage.partial || oldMessage.content !== message.content) {
+        await updateVouchReviewsForMessage(
+            message.guild.id,
+            message.id,
+            parseVouchRating(message.content),
+            extractVouchReview(message.content)
+        );
+    }
+}
+
+function hasProcessedVouchMessage(guildId, messageId) {
+    return getAsync(
+        `SELECT 1 AS found FROM vouches WHERE guild_id = ? AND message_id = ?
+         UNION ALL SELECT 1 FROM pending_vouches WHERE guild_id = ? AND message_id = ?
+         UNION ALL SELECT 1 FROM rejected_vouches WHERE guild_id = ? AND message_id = ?
+         LIMIT 1`,
+        [guildId, messageId, guildId, messageId, guildId, messageId]
+    ).then((row) => Boolean(row));
+}
+
+// Accepts how far back to go ("30d"), a unix timestamp or a UTC date.
+function parseBackfillSince(text, now = new Date()) {
+    if (!text) return null;
+    const relative = parseDuration(text);
+    if (relative) return new Date(now.getTime() - relative);
+    const parsed = parseStartTime(text, now);
+    return parsed && parsed <= now ? parsed : null;
+}
+
+// Yields a channel's messages oldest first, so cooldowns and duplicate images
+// are judged in the order the vouches were posted.
+async function* iterateChannelHistory(channel, since) {
+    let after = since ? SnowflakeUtil.generate({ timestamp: since.getTime() }).toString() : '0';
+    while (true) {
+        const page = await channel.messages.fetch({ after, limit: 100, cache: false });
+        if (page.size === 0) return;
+        const messages = [...page.values()].sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+        for (const message of messages) {
+            yield message;
+        }
+        after = messages[messages.length - 1].id;
+        if (page.size < 100) return;
+    }
+}
+
+// Forum posts count once each, through their starter message.
+async function* iterateForumStarters(forum, since) {
+    const threads = [...(await forum.threads.fetchActive()).threads.values()];
+    let before;
+    while (true) {
+        const archived = await forum.threads.fetchArchived({ before, limit: 100 });
+        threads.push(...archived.threads.values());
+        if (!archived.hasMore || archived.threads.size === 0) break;
+        before = archived.threads.last().id;
+    }
+
+    threads.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    for (const thread of threads) {
+        if (since && thread.createdTimestamp < since.getTime()) continue;
+        const starter = await thread.fetchStarterMessage().catch(() => null);
+        if (starter) yield starter;
+    }
+}
+
+const runningBackfills = new Set();
+
+/**
+ * Runs a channel's history through the vouch pipeline. Messages that already
+ * have a vouch, pending or rejected entry are skipped, so re-running never
+ * counts a message twice. Resolves with counts of each outcome.
+ */
+async function backfillVouchChannel(channel, { since = null, dryRun = false, onProgress = null } = {}) {
+    const summary = { scanned: 0, alreadyProcessed: 0, awarded: 0, pending: 0, rejected: 0, skipped: 0, failed: 0 };
+    const messages = channel.type === ChannelType.GuildForum
+        ? iterateForumStarters(channel, since)
+        : iterateChannelHistory(channel, since);
+
+    for await (const message of messages) {
+        summary.scanned += 1;
+        try {
+            if (await hasProcessedVouchMessage(channel.guildId, message.id)) {
+                summary.alreadyProcessed += 1;
+            } else {
+                const outcome = await processVouchMessage(message, { backfill: true, dryRun });
+                summary[outcome] += 1;
+            }
+        } catch (error) {
+            summary.failed += 1;
+            console.error(`Failed to backfill message ${message.id} in channel ${channel.id}:`, error);
+        }
+        if (onProgress && summary.scanned % 100 === 0) {
+            await onProgress(summary, message);
+        }
+    }
+    return summary;
+}
+
+function describeBackfillSummary(summary, dryRun) {
+    const verb = dryRun ? 'would be' : 'were';
+    return [
+        `Scanned **${summary.scanned}** message${summary.scanned === 1 ? '' : 's'}.`,
+        `• ${summary.awarded} ${verb} awarded`,
+        `• ${summary.pending} ${verb} added to pending (review them with \`/approvevouch\`)`,
+        `• ${summary.rejected} ${verb} rejected by the anti-abuse rules`,
+        `• ${summary.alreadyProcessed} had already been processed`,
+        `• ${summary.skipped} did not qualify as vouches`,
+        summary.failed ? `• ${summary.failed} failed; see the bot logs` : null
+    ].filter(Boolean).join('\n');
+}
+
+async function handleVouchBackfillCommand(interaction) {
+    const channel = interaction.options.getChannel('channel', true);
+    const dryRun = interaction.options.getBoolean('dry_run') ?? false;
+    const sinceText = interaction.options.getString('since');
+    const since = parseBackfillSince(sinceText);
+    if (sinceText && !since) {
+        await interaction.reply({ content: 'Could not understand `since`. Use a duration like `90d`, a unix timestamp or a past date like `2023-01-01` (UTC).', ephemeral: true });
+        return;
+    }
+    if (!(await isVouchChannel(channel))) {
+        await interaction.reply({ content: `${channel} is not a vouch channel. Add it with \`/vouchconfig channels add\` first.`, ephemeral: true });
+        return;
+    }
+    if (runningBackfills.has(channel.id)) {
+        await interaction.reply({ content: `A backfill of ${channel} is already running.`, ephemeral: true });
+        return;
+    }
+
+    runningBackfills.add(channel.id);
+    const label = `${dryRun ? 'Dry run: scanning' : 'Backfilling'} ${channel}${since ? ` since <t:${Math.floor(since.getTime() / 1000)}:D>` : ''}`;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        const summary = await backfillVouchChannel(channel, {
+            since,
+            dryRun,
+            onProgress: (progress, message) => interaction.editReply({
+                content: `${label}… ${progress.scanned} messages scanned so far (up to <t:${Math.floor(message.createdTimestamp / 1000)}:D>).`
+            }).catch(() => {})
+        });
+        // Interaction tokens expire after 15 minutes; long runs still reach the mod log.
+        await interaction.editReply({ content: `${label} finished.\n${describeBackfillSummary(summary, dryRun)}` }).catch(() => {});
+
+        if (!dryRun && summary.scanned > 0) {
+            await recordAuditEvent(interaction.guildId, {
+                action: 'history_imported',
+                actorId: interaction.user.id,
+                subject: `${channel}`,
+                details: describeBackfillSummary(summary, false)
+            });
+        }
+    } finally {
+        runningBackfills.delete(channel.id);
+    }
+}
+
+const backupConfig = {
+    dir: process.env.BACKUP_DIR || path.join(path.dirname(dbPath), 'backups'),
+    intervalMinutes: Number(process.env.BACKUP_INTERVAL_MINUTES ?? 60),
+    keepHours: Number(process.env.BACKUP_KEEP_HOURS ?? 24),
+    keepDays: Number(process.env.BACKUP_KEEP_DAYS ?? 30)
+};
+
+const BACKUP_FILE_PREFIX = path.basename(dbPath, path.extname(dbPath));
+const BACKUP_FILE_PATTERN = /-(\d{8})-(\d{6})(?:-([a-z-]+))?\.db$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cleared when the startup integrity check fails, so scheduled backups cannot
+// rotate the last good copies out with corrupt ones.
+let databaseHealthy = true;
+
+function checkDatabaseIntegrity(database = db) {
+    return new Promise((resolve, reject) => {
+        database.all('PRAGMA integrity_check', [], (err, rows) => {
+            if (err) { reject(err); return; }
+            const problems = rows.map((row) => row.integrity_check).filter((result) => result !== 'ok');
+            resolve(problems);
+        });
+    });
+}
+
+async function checkDatabaseHealthOnStartup() {
+    let problems;
+    try {
+        problems = await checkDatabaseIntegrity();
+    } catch (error) {
+        problems = [error.message];
+    }
+    if (problems.length === 0) {
+        console.log(`Database integrity check passed for ${dbPath}.`);
+        return;
+    }
+
+    databaseHealthy = false;
+    const latest = listBackups()[0];
+    console.error(`Database integrity check FAILED for ${dbPath}:\n  ${problems.slice(0, 20).join('\n  ')}`);
+    console.error(latest
+        ? `Scheduled backups are paused. Restore the latest backup (${latest.name}) with /vouchbackup restore.`
+        : 'Scheduled backups are paused and no backups were found.');
+}
+
+function formatBackupStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+function parseBackupFile(name, stat) {
+    const match = name.startsWith(`${BACKUP_FILE_PREFIX}-`) && name.match(BACKUP_FILE_PATTERN);
+    if (!match) return null;
+    const [, day, time, label] = match;
+    const createdAt = new Date(Date.UTC(
+        Number(day.slice(0, 4)), Number(day.slice(4, 6)) - 1, Number(day.slice(6, 8)),
+        Number(time.slice(0, 2)), Number(time.slice(2, 4)), Number(time.slice(4, 6))
+    ));
+    return { name, path: path.join(backupConfig.dir, name), createdAt, label: label || 'scheduled', size: stat.size };
+}
+
+// Newest first.
+function listBackups() {
+    let names;
+    try {
+        names = fs.readdirSync(backupConfig.dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return names
+        .map((name) => {
+            try {
+                return parseBackupFile(name, fs.statSync(path.join(backupConfig.dir, name)));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function copyDatabase(source, destination, filenameIsDest) {
+    return new Promise((resolve, reject) => {
+        const backup = filenameIsDest
+            ? source.backup(destination)
+            : source.backup(destination, 'main', 'main', false);
+        backup.step(-1, (stepErr) => {
+            backup.finish((finishErr) => {
+                const error = stepErr || finishErr;
+                if (error) { reject(error); return; }
+                if (!backup.completed) { reject(new Error('The backup did not complete.')); return; }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Copies the live database into the backup directory with SQLite's online
+ * backup API, so the bot keeps serving while it runs. `label` is 'scheduled',
+ * 'manual' or 'pre-restore'.
+ */
+async function createBackup(label = 'scheduled', now = new Date()) {
+    fs.mkdirSync(backupConfig.dir, { recursive: true });
+    const suffix = label === 'scheduled' ? '' : `-${label}`;
+    const name = `${BACKUP_FILE_PREFIX}-${formatBackupStamp(now)}${suffix}.db`;
+    const target = path.join(backupConfig.dir, name);
+    const partial = `${target}.partial`;
+    try {
+        await withDatabaseLock(() => copyDatabase(db, partial, true));
+        fs.renameSync(partial, target);
+    } catch (error) {
+        fs.rmSync(partial, { force: true });
+        throw error;
+    }
+    return parseBackupFile(name, fs.statSync(target));
+}
+
+/**
+ * Keeps the newest backup of each hour for `keepHours` and the newest of each
+ * UTC day for `keepDays`; manual and pre-restore backups are kept for the whole
+ * `keepDays` window. Returns the backups that fall outside the policy.
+ */
+function selectBackupsToPrune(backups, now = new Date(), { keepHours, keepDays } = backupConfig) {
+    const seenBuckets = new Set();
+    const prune = [];
+    for (const backup of backups) {
+        const age = now - backup.createdAt;
+        let bucket = null;
+        if (age < keepHours * HOUR_MS) {
+            bucket = `hour:${Math.floor(backup.createdAt.getTime() / HOUR_MS)}`;
+        } else if (age < keepDays * DAY_MS) {
+            bucket = `day:${backup.createdAt.toISOString().slice(0, 10)}`;
+        }
+
+        if (bucket && backup.label !== 'scheduled') continue;
+        if (bucket && !seenBuckets.has(bucket)) {
+            seenBuckets.add(bucket);
+            continue;
+        }
+        prune.push(backup);
+    }
+    return prune;
+}
+
+function pruneBackups(now = new Date()) {
+    const pruned = selectBackupsToPrune(listBackups(), now);
+    for (const backup of pruned) {
+        fs.rmSync(backup.path, { force: true });
+    }
+    return pruned;
+}
+
+let backupInProgress = false;
+
+async function runScheduledBackup() {
+    if (!databaseHealthy || backupInProgress || !(backupConfig.intervalMinutes > 0)) return;
+    const latest = listBackups().find((backup) => backup.label === 'scheduled');
+    if (latest && Date.now() - latest.createdAt < backupConfig.intervalMinutes * 60 * 1000) return;
+
+    backupInProgress = true;
+    try {
+        const backup = await createBackup('scheduled');
+        const pruned = pruneBackups();
+        console.log(`Backed up the database to ${backup.name}${pruned.length ? `, pruned ${pruned.length} old backup${pruned.length === 1 ? '' : 's'}` : ''}.`);
+    } catch (error) {
+        console.error('Scheduled database backup failed:', error);
+    } finally {
+        backupInProgress = false;
+    }
+}
+
+async function inspectBackup(file) {
+    const backupDb = await new Promise((resolve, reject) => {
+        const handle = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(handle)));
+    });
+    try {
+        const problems = await checkDatabaseIntegrity(backupDb);
+        const schemaVersion = problems.length ? null : await readSchemaVersion(backupDb);
+        return { problems, schemaVersion };
+    } finally {
+        backupDb.close();
+    }
+}
+
+/**
+ * Replaces the live database with a backup. The current data is saved as a
+ * pre-restore backup first, and the restored copy is brought up to the current
+ * schema and caches are dropped afterwards.
+ */
+async function restoreBackup(name) {
+    const backup = listBackups().find((entry) => entry.name === name);
+    if (!backup) throw new Error(`No backup named ${name} exists.`);
+    const { problems, schemaVersion } = await inspectBackup(backup.path);
+    if (problems.length) throw new Error(`${name} failed its integrity check: ${problems[0]}`);
+    if (schemaVersion > LATEST_SCHEMA_VERSION) {
+        throw new Error(`${name} is at schema version ${schemaVersion}, newer than this build supports (${LATEST_SCHEMA_VERSION}).`);
+    }
+
+    backupInProgress = true;
+    try {
+        const safety = await createBackup('pre-restore');
+        await withDatabaseLock(() => copyDatabase(db, backup.path, false));
+        providerRoleCache.clear();
+        vouchChannelCache.clear();
+        await initializeDatabase();
+        databaseHealthy = (await checkDatabaseIntegrity()).length === 0;
+        for (const guildId of client.guilds.cache.keys()) {
+            scheduleLeaderboardRefresh(guildId, 0);
+        }
+        return { restored: backup, safety };
+    } finally {
+        backupInProgress = false;
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeBackup(backup) {
+    const label = backup.label === 'scheduled' ? '' : ` _(${backup.label})_`;
+    return `\`${backup.name}\` — <t:${Math.floor(backup.createdAt.getTime() / 1000)}:f>, ${formatBytes(backup.size)}${label}`;
+}
+
+const BACKUP_COMPONENT_PREFIX = 'backup';
+const pendingRestores = new Map();
+const RESTORE_CONFIRM_TTL_MS = 5 * 60 * 1000;
+
+async function handleVouchBackupCommand(interaction) {
+    // Backups hold every server's data, so only the home server may manage them.
+    if (interaction.guildId !== getHomeGuildId()) {
+        await interaction.reply({ content: 'Backups cover every server the bot is in, so they can only be managed from the home server (`HOME_GUILD_ID`).', ephemeral: true });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    switch (subcommand) {
+        case 'list': {
+            const backups = listBackups();
+            const lines = backups.slice(0, 20).map(describeBackup);
+            if (backups.length > lines.length) lines.push(`…and ${backups.length - lines.length} older`);
+            const schedule = backupConfig.intervalMinutes > 0
+                ? `Every ${backupConfig.intervalMinutes} minutes; hourly copies kept ${backupConfig.keepHours} hours, daily copies ${backupConfig.keepDays} days.`
+                : 'Scheduled backups are disabled (`BACKUP_INTERVAL_MINUTES=0`).';
+            const embed = new EmbedBuilder()
+                .setColor(databaseHealthy ? 0x3498db : 0xe74c3c)
+                .setTitle('Database backups')
+                .setDescription(lines.length ? lines.join('\n') : '_No backups yet._')
+                .addFields(
+                    { name: 'Schedule', value: schedule },
+                    { name: 'Health', value: databaseHealthy ? 'Integrity check passed' : '⚠️ Integrity check failed at startup; scheduled backups are paused.' }
+                )
+                .setFooter({ text: backupConfig.dir })
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'create': {
+            await interaction.deferReply({ ephemeral: true });
+            const backup = await createBackup('manual');
+            await interaction.editReply({ content: `Created ${describeBackup(backup)}.` });
+            return;
+        }
+        case 'restore': {
+            const name = interaction.options.getString('name', true).trim();
+            const backup = listBackups().find((entry) => entry.name === name);
+            if (!backup) {
+                await interaction.reply({ content: `No backup named \`${name}\` exists. Use \`/vouchbackup list\` to see them.`, ephemeral: true });
+                return;
+            }
+            const token = crypto.randomBytes(6).toString('hex');
+            pendingRestores.set(token, { name, userId: interaction.user.id, expiresAt: Date.now() + RESTORE_CONFIRM_TTL_MS });
+            setTimeout(() => pendingRestores.delete(token), RESTORE_CONFIRM_TTL_MS).unref();
+            await interaction.reply({
+                content: `Restore ${describeBackup(backup)}?\nEvery change made since then, in **every** server, will be replaced. The current data is saved as a pre-restore backup first.`,
+                components: [
+                    new ActionRowBuilder().addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(`${BACKUP_COMPONENT_PREFIX}:restore:${token}`)
+                            .setLabel('Restore backup')
+                            .setStyle(ButtonStyle.Danger),
+                        new ButtonBuilder()
+                            .setCustomId(`${BACKUP_COMPONENT_PREFIX}:cancel:${token}`)
+                            .setLabel('Cancel')
+                            .setStyle(ButtonStyle.Secondary)
+                    )
+                ],
+                ephemeral: true
+            });
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown backup option.', ephemeral: true });
+    }
+}
+
+async function handleBackupComponent(interaction) {
+    const [, action, token] = interaction.customId.split(':');
+    const pending = pendingRestores.get(token);
+    if (!pending || pending.expiresAt < Date.now()) {
+        await interaction.update({ content: 'This restore request has expired. Run `/vouchbackup restore` again.', components: [] });
+        return;
+    }
+    if (pending.userId !== interaction.user.id) {
+        await interaction.reply({ content: 'Only the admin who asked for this restore can confirm it.', ephemeral: true });
+        return;
+    }
+
+    pendingRestores.delete(token);
+    if (action === 'cancel') {
+        await interaction.update({ content: 'Restore cancelled. Nothing was changed.', components: [] });
+        return;
+    }
+
+    await interaction.update({ content: `Restoring \`${pending.name}\`…`, components: [] });
+    try {
+        const { restored, safety } = await restoreBackup(pending.name);
+        await interaction.editReply({ content: `Restored ${describeBackup(restored)}. The previous data was saved as \`${safety.name}\`.` });
+        console.log(`Database restored from ${restored.name} by ${interaction.user.id}; previous data saved as ${safety.name}.`);
+        await recordAuditEvent(interaction.guildId, {
+            action: 'backup_restored',
+            actorId: interaction.user.id,
+            subject: restored.name,
+            details: `The previous data was saved as ${safety.name}.`
+        });
+    } catch (error) {
+        console.error(`Failed to restore backup ${pending.name}:`, error);
+        await interaction.editReply({ content: `Restore failed: ${error.message}` });
+    }
+}
+
+const EXPORT_FORMAT_ID = 'ukeau-vouch-export';
+const EXPORT_VERSION = 1;
+
+const EXPORT_COLUMNS = {
+    balances: ['user_id', 'username', 'points', 'last_updated'],
+    ledger: [
+        'id', 'user_id', 'delta', 'balance_before', 'balance_after', 'reason', 'actor_id',
+        'source_channel_id', 'source_message_id', 'pending_id', 'multiplier', 'weight', 'created_at'
+    ],
+    pending: ['id', 'channel_id', 'message_id', 'voucher_id', 'voucher_tag', 'message_content', 'attachment_urls', 'created_at']
+};
+
+const EXPORT_SECTION_LABELS = {
+    balances: ['balance', 'balances'],
+    ledger: ['ledger entry', 'ledger entries'],
+    pending: ['pending vouch', 'pending vouches']
+};
+
+const EXPORT_SCOPES = {
+    balances: ['balances'],
+    ledger: ['ledger'],
+    pending: ['pending'],
+    all: ['balances', 'ledger', 'pending']
+};
+
+function loadExportSection(guildId, section) {
+    switch (section) {
+        case 'balances':
+            return allAsync(
+                `SELECT user_id, username, points, last_updated FROM vouch_points
+                 WHERE guild_id = ? ORDER BY points DESC, user_id`,
+                [guildId]
+            );
+        case 'ledger':
+            return allAsync(
+                `SELECT ${EXPORT_COLUMNS.ledger.join(', ')} FROM points_ledger
+                 WHERE guild_id = ? ORDER BY id`,
+                [guildId]
+            );
+        case 'pending':
+            return allAsync(
+                `SELECT ${EXPORT_COLUMNS.pending.join(', ')} FROM pending_vouches
+                 WHERE guild_id = ? AND status = 'pending' ORDER BY id`,
+                [guildId]
+            );
+        default:
+            throw new Error(`Unknown export section ${section}`);
+    }
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('The file ends inside a quoted field.');
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+async function buildVouchExport(guildId, format, scope) {
+    const sections = EXPORT_SCOPES[scope] || EXPORT_SCOPES.all;
+    const data = {};
+    for (const section of sections) {
+        data[section] = await loadExportSection(guildId, section);
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        const payload = {
+            format: EXPORT_FORMAT_ID,
+            version: EXPORT_VERSION,
+            guild_id: guildId,
+            exported_at: new Date().toISOString(),
+            ...data
+        };
+        if (payload.pending) {
+            payload.pending = payload.pending.map(({ attachment_urls: raw, ...row }) => ({
+                ...row,
+                attachments: deserializeAttachments(raw)
+            }));
+        }
+        return {
+            files: [new AttachmentBuilder(Buffer.from(JSON.stringify(payload, null, 2)), { name: `vouches-${scope}-${stamp}.json` })],
+            counts: Object.fromEntries(sections.map((section) => [section, data[section].length]))
+        };
+    }
+
+    return {
+        files: sections.map((section) => new AttachmentBuilder(
+            Buffer.from(toCsv(EXPORT_COLUMNS[section], data[section])),
+            { name: `vouches-${section}-${stamp}.csv` }
+        )),
+        counts: Object.fromEntries(sections.map((section) => [section, data[section].length]))
+    };
+}
+
+// Spreadsheets from other vouch bots rarely agree on column names.
+const IMPORT_USER_COLUMNS = ['user_id', 'userid', 'discord_id', 'id', 'user'];
+const IMPORT_POINTS_COLUMNS = ['points', 'vouches', 'vouch_points', 'balance', 'score'];
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ERRORS = 10;
+
+function isSnowflake(value) {
+    return /^\d{17,20}$/.test(String(value || '').trim());
+}
+
+function validateImportBalance(raw, label, errors) {
+    const userId = String(raw.user_id ?? '').trim();
+    const points = Number(String(raw.points ?? '').trim());
+    if (!isSnowflake(userId)) {
+        errors.push(`${label}: \`${truncateContent(userId || '(empty)', 30)}\` is not a Discord user ID.`);
+        return null;
+    }
+    if (!Number.isInteger(points) || points < 0) {
+        errors.push(`${label}: points must be a whole number of 0 or more.`);
+        return null;
+    }
+    const username = raw.username ? String(raw.username).trim().slice(0, 100) : null;
+    return { userId, username: username || null, points };
+}
+
+function validateImportPending(raw, label, errors) {
+    for (const key of ['channel_id', 'message_id', 'voucher_id']) {
+        if (!isSnowflake(raw[key])) {
+            errors.push(`${label}: \`${key}\` must be a Discord ID.`);
+            return null;
+        }
+    }
+    const attachments = Array.isArray(raw.attachments) ? raw.attachments : deserializeAttachments(raw.attachment_urls);
+    if (!attachments.every((att) => att && typeof att.url === 'string')) {
+        errors.push(`${label}: attachments must be a list of { url, name } objects.`);
+        return null;
+    }
+    const createdAt = raw.created_at ? parseStartTime(String(raw.created_at)) : null;
+    return {
+        channelId: String(raw.channel_id).trim(),
+        messageId: String(raw.message_id).trim(),
+        voucherId: String(raw.voucher_id).trim(),
+        voucherTag: raw.voucher_tag ? String(raw.voucher_tag) : null,
+        messageContent: raw.message_content ? String(raw.message_content) : '',
+        attachments,
+        createdAt
+    };
+}
+
+function findColumn(header, candidates) {
+    return header.findIndex((name) => candidates.includes(name));
+}
+
+/**
+ * Parses an export (or a spreadsheet with user and points columns) into
+ * `{ balances, pending, errors }`. Ledger sections are ignored: importing
+ * balances writes its own ledger entries.
+ */
+function parseVouchImport(text, fileName) {
+    const result = { balances: [], pending: [], errors: [], ignoredLedger: false };
+    const trimmed = text.trim();
+
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let payload;
+        try {
+            payload = JSON.parse(trimmed);
+        } catch (error) {
+            result.errors.push(`The file is not valid JSON: ${error.message}`);
+            return result;
+        }
+        if (Array.isArray(payload)) payload = { balances: payload };
+        if (payload.format && payload.format !== EXPORT_FORMAT_ID) {
+            result.errors.push(`Unsupported export format \`${payload.format}\`.`);
+            return result;
+        }
+        if (payload.version && payload.version > EXPORT_VERSION) {
+            result.errors.push(`The file was exported by a newer version of the bot (format v${payload.version}).`);
+            return result;
+        }
+        const seen = new Set();
+        (payload.balances || []).forEach((row, index) => {
+            const entry = validateImportBalance(row || {}, `balances[${index}]`, result.errors);
+            if (!entry) return;
+            if (seen.has(entry.userId)) {
+                result.errors.push(`balances[${index}]: <@${entry.userId}> appears more than once.`);
+                return;
+            }
+            seen.add(entry.userId);
+            result.balances.push(entry);
+        });
+        (payload.pending || []).forEach((row, index) => {
+            const entry = validateImportPending(row || {}, `pending[${index}]`, result.errors);
+            if (entry) result.pending.push(entry);
+        });
+        result.ignoredLedger = Array.isArray(payload.ledger) && payload.ledger.length > 0;
+        return result;
+    }
+
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (error) {
+        result.errors.push(`The file is not valid CSV: ${error.message}`);
+        return result;
+    }
+    if (rows.length === 0) {
+        result.errors.push('The file is empty.');
+        return result;
+    }
+
+    const header = rows[0].map((name) => name.trim().toLowerCase().replace(/\s+/g, '_'));
+    const records = rows.slice(1).map((cells) => Object.fromEntries(header.map((name, index) => [name, cells[index]])));
+    if (header.includes('delta')) {
+        result.ignoredLedger = true;
+        result.errors.push('Ledger exports cannot be imported. Import a balances export instead.');
+        return result;
+    }
+    if (header.includes('message_id') && header.includes('voucher_id')) {
+        records.forEach((record, index) => {
+            const entry = validateImportPending(record, `Row ${index + 2}`, result.errors);
+            if (entry) result.pending.push(entry);
+        });
+        return result;
+    }
+
+    const userColumn = findColumn(header, IMPORT_USER_COLUMNS);
+    const pointsColumn = findColumn(header, IMPORT_POINTS_COLUMNS);
+    if (userColumn === -1 || pointsColumn === -1) {
+        result.errors.push('The CSV needs a user ID column (`user_id`) and a points column (`points`).');
+        return result;
+    }
+    const seen = new Set();
+    rows.slice(1).forEach((cells, index) => {
+        const entry = validateImportBalance({
+            user_id: cells[userColumn],
+            points: cells[pointsColumn],
+            username: header.includes('username') ? cells[header.indexOf('username')] : null
+        }, `Row ${index + 2}`, result.errors);
+        if (!entry) return;
+        if (seen.has(entry.userId)) {
+            result.errors.push(`Row ${index + 2}: <@${entry.userId}> appears more than once.`);
+            return;
+        }
+        seen.add(entry.userId);
+        result.balances.push(entry);
+    });
+    return result;
+}
+
+async function previewVouchImport(guildId, parsed) {
+    const rows = await allAsync('SELECT user_id, points FROM vouch_points WHERE guild_id = ?', [guildId]);
+    const current = new Map(rows.map((row) => [row.user_id, row.points]));
+    const changes = parsed.balances
+        .map((entry) => ({ ...entry, before: current.get(entry.userId) ?? null }))
+        .filter((entry) => entry.before !== entry.points);
+
+    const pendingNew = [];
+    for (const entry of parsed.pending) {
+        if (!(await hasProcessedVouchMessage(guildId, entry.messageId))) {
+            pendingNew.push(entry);
+        }
+    }
+    return {
+        changes,
+        unchanged: parsed.balances.length - changes.length,
+        added: changes.filter((entry) => entry.before === null).length,
+        netDelta: changes.reduce((sum, entry) => sum + entry.points - (entry.before || 0), 0),
+        pendingNew,
+        pendingSkipped: parsed.pending.length - pendingNew.length
+    };
+}
+
+function buildImportPreviewEmbed(fileName, parsed, preview) {
+    const sample = preview.changes.slice(0, 10).map((entry) => (
+        `<@${entry.userId}>: ${entry.before === null ? '_new_' : entry.before} → **${entry.points}**`
+    ));
+    if (preview.changes.length > sample.length) {
+        sample.push(`…and ${preview.changes.length - sample.length} more`);
+    }
+    const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle(`Import preview: ${fileName}`)
+        .setDescription('Nothing has changed yet. Review the differences below and confirm to apply them.')
+        .addFields(
+            {
+                name: 'Balances',
+                value: parsed.balances.length
+                    ? `${preview.changes.length} to change (${preview.added} new), ${preview.unchanged} unchanged • net ${formatSignedPoints(preview.netDelta)} points`
+                    : '_None in file_'
+            },
+            { name: 'Changes', value: sample.length ? sample.join('\n') : '_No balance changes_' },
+            {
+                name: 'Pending vouches',
+                value: parsed.pending.length
+                    ? `${preview.pendingNew.length} to add, ${preview.pendingSkipped} already known`
+                    : '_None in file_'
+            }
+        )
+        .setFooter({ text: 'Members not in the file keep their balance. This preview expires in 10 minutes.' })
+        .setTimestamp();
+    if (parsed.ignoredLedger) {
+        embed.addFields({ name: 'Ledger', value: 'Ledger rows in the file are ignored; every applied change is recorded in this server\'s ledger instead.' });
+    }
+    return embed;
+}
+
+function insertImportedPendingVouch(guildId, entry) {
+    return runAsync(
+        `INSERT INTO pending_vouches (
+            guild_id, channel_id, message_id, voucher_id, voucher_tag,
+            message_content, attachment_urls, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+        [
+            guildId,
+            entry.channelId,
+            entry.messageId,
+            entry.voucherId,
+            entry.voucherTag,
+            entry.messageContent,
+            serializeAttachments(entry.attachments),
+            entry.createdAt ? toSqliteTimestamp(entry.createdAt) : null
+        ]
+    );
+}
+
+/**
+ * Applies a previewed import. Balances are re-read here, so a vouch that lands
+ * between preview and confirmation is overwritten by the file's value rather
+ * than added on top of a stale difference.
+ */
+function applyVouchImport(guildId, parsed, actorId) {
+    return withTransaction(async () => {
+        const result = { balances: 0, pending: 0 };
+        for (const entry of parsed.balances) {
+            const current = await getUserPoints(guildId, entry.userId);
+            if (current === entry.points) continue;
+            await changeUserBalance(guildId, entry.userId, entry.username, entry.points - current, {
+                reason: 'file_import',
+                actorId
+            });
+            result.balances += 1;
+        }
+        for (const entry of parsed.pending) {
+            if (await hasProcessedVouchMessage(guildId, entry.messageId)) continue;
+            await insertImportedPendingVouch(guildId, entry);
+            result.pending += 1;
+        }
+        return result;
+    });
+}
+
+// Parsed imports wait here for the admin to confirm the preview.
+const pendingImports = new Map();
+const IMPORT_CONFIRM_TTL_MS = 10 * 60 * 1000;
+const IMPORT_COMPONENT_PREFIX = 'import';
+
+async function handleVouchImportCommand(interaction) {
+    const file = interaction.options.getAttachment('file', true);
+    if (file.size > IMPORT_MAX_BYTES) {
+        await interaction.reply({ content: 'Import files can be at most 5 MB.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const response = await fetch(file.url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) {
+        await interaction.editReply({ content: `Could not download the file (HTTP ${response.status}).` });
+        return;
+    }
+    const parsed = parseVouchImport(await response.text(), file.name);
+    if (parsed.errors.length) {
+        const shown = parsed.errors.slice(0, IMPORT_MAX_ERRORS);
+        const more = parsed.errors.length - shown.length;
+        await interaction.editReply({
+            content: `The file was not imported:\n${shown.map((error) => `• ${error}`).join('\n')}${more > 0 ? `\n…and ${more} more problem${more === 1 ? '' : 's'}.` : ''}`
+        });
+        return;
+    }
+    if (parsed.balances.length === 0 && parsed.pending.length === 0) {
+        await interaction.editReply({ content: 'The file has no balances or pending vouches to import.' });
+        return;
+    }
+
+    const preview = await previewVouchImport(interaction.guildId, parsed);
+    const token = crypto.randomBytes(6).toString('hex');
+    pendingImports.set(token, {
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        fileName: file.name,
+        parsed: { balances: preview.changes, pending: preview.pendingNew },
+        expiresAt: Date.now() + IMPORT_CONFIRM_TTL_MS
+    });
+    setTimeout(() => pendingImports.delete(token), IMPORT_CONFIRM_TTL_MS).unref();
+
+    const nothingToDo = preview.changes.length === 0 && preview.pendingNew.length === 0;
+    await interaction.editReply({
+        embeds: [buildImportPreviewEmbed(file.name, parsed, preview)],
+        components: nothingToDo ? [] : [
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`${IMPORT_COMPONENT_PREFIX}:confirm:${token}`)
+                    .setLabel('Apply import')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId(`${IMPORT_COMPONENT_PREFIX}:cancel:${token}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            )
+        ],
+        allowedMentions: { parse: [] }
+    });
+}
+
+async function handleImportComponent(interaction) {
+    const [, action, token] = interaction.customId.split(':');
+    const pending = pendingImports.get(token);
+    if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guildId) {
+        await interaction.update({ content: 'This import preview has expired. Run `/vouchimport` again.', embeds: [], components: [] });
+        return;
+    }
+    if (pending.userId !== interaction.user.id) {
+        await interaction.reply({ content: 'Only the admin who started this import can confirm it.', ephemeral: true });
+        return;
+    }
+
+    pendingImports.delete(token);
+    if (action === 'cancel') {
+        await interaction.update({ content: 'Import cancelled. Nothing was changed.', embeds: [], components: [] });
+        return;
+    }
+
+    await interaction.update({ content: 'Applying import…', components: [] });
+    const result = await applyVouchImport(interaction.guildId, pending.parsed, interaction.user.id);
+    const summary = `Updated ${result.balances} balance${result.balances === 1 ? '' : 's'} and added ${result.pending} pending vouch${result.pending === 1 ? '' : 'es'} from ${pending.fileName}.`;
+    await interaction.editReply({ content: summary, embeds: [] });
+
+    await recordAuditEvent(interaction.guildId, {
+        action: 'data_imported',
+        actorId: interaction.user.id,
+        subject: pending.fileName,
+        details: summary
+    });
+}
+
+async function handleVouchExportCommand(interaction) {
+    const format = interaction.options.getString('format') || 'csv';
+    const scope = interaction.options.getString('scope') || 'all';
+    await interaction.deferReply({ ephemeral: true });
+    const { files, counts } = await buildVouchExport(interaction.guildId, format, scope);
+    const described = Object.entries(counts)
+        .map(([section, count]) => `${count} ${EXPORT_SECTION_LABELS[section][count === 1 ? 0 : 1]}`)
+        .join(', ');
+    await interaction.editReply({ content: `Exported ${described}.`, files });
+}
+
+// Reports against providers. A dispute stays 'open' until a moderator resolves
+// it as 'penalized' (points taken), 'warned' or 'dismissed'; penalized and
+// warned disputes count as upheld wherever a provider's points are shown.
+const DISPUTE_COMPONENT_PREFIX = 'dispute';
+const DISPUTE_OUTCOMES = {
+    penalized: { label: 'Point penalty', color: 0xe74c3c },
+    warned: { label: 'Warning', color: 0xe67e22 },
+    dismissed: { label: 'Dismissed', color: 0x95a5a6 }
+};
+const UPHELD_DISPUTE_STATUSES = ['penalized', 'warned'];
+const DISPUTE_EVIDENCE_OPTIONS = ['evidence', 'evidence2', 'evidence3'];
+
+function createDispute(entry) {
+    return runAsync(
+        `INSERT INTO disputes (guild_id, reporter_id, reporter_tag, provider_id, reason, evidence_urls)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [entry.guildId, entry.reporterId, entry.reporterTag, entry.providerId, entry.reason, serializeAttachments(entry.evidence)]
+    ).then((result) => result.lastID);
+}
+
+function withDisputeEvidence(row) {
+    return row ? { ...row, evidence: deserializeAttachments(row.evidence_urls) } : null;
+}
+
+async function getDisputeById(guildId, id) {
+    return withDisputeEvidence(await getAsync('SELECT * FROM disputes WHERE guild_id = ? AND id = ?', [guildId, id]));
+}
+
+async function listDisputes(guildId, { status = 'open', providerId = null, limit = 10 } = {}) {
+    const rows = await allAsync(
+        `SELECT * FROM disputes
+         WHERE guild_id = ?
+           AND (? = 'all' OR status = ?)
+           AND (? IS NULL OR provider_id = ?)
+         ORDER BY id DESC
+         LIMIT ?`,
+        [guildId, status, status, providerId, providerId, limit]
+    );
+    return rows.map(withDisputeEvidence);
+}
+
+function findOpenDispute(guildId, reporterId, providerId) {
+    return getAsync(
+        "SELECT id FROM disputes WHERE guild_id = ? AND reporter_id = ? AND provider_id = ? AND status = 'open'",
+        [guildId, reporterId, providerId]
+    );
+}
+
+function setDisputeQueueMessage(id, channelId, messageId) {
+    return runAsync(
+        'UPDATE disputes SET queue_channel_id = ?, queue_message_id = ? WHERE id = ?',
+        [channelId, messageId, id]
+    );
+}
+
+function markDisputeResolved(id, status, { penalty = null, note = null, resolvedBy }) {
+    return runAsync(
+        `UPDATE disputes
+         SET status = ?, penalty = ?, resolution_note = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'open'`,
+        [status, penalty, note, resolvedBy, id]
+    ).then((result) => result.changes > 0);
+}
+
+/**
+ * Open and upheld dispute counts per provider. Pass `providerId` for a single
+ * provider, or omit it for a Map covering the whole guild.
+ */
+async function getDisputeCounts(guildId, providerId = null) {
+    const rows = await allAsync(
+        `SELECT provider_id,
+                SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open,
+                SUM(CASE WHEN status IN (${UPHELD_DISPUTE_STATUSES.map(() => '?').join(', ')}) THEN 1 ELSE 0 END) AS upheld
+         FROM disputes
+         WHERE guild_id = ? AND (? IS NULL OR provider_id = ?)
+         GROUP BY provider_id`,
+        [...UPHELD_DISPUTE_STATUSES, guildId, providerId, providerId]
+    );
+    const counts = new Map(rows.map((row) => [row.provider_id, { open: row.open, upheld: row.upheld }]));
+    return providerId ? counts.get(providerId) || { open: 0, upheld: 0 } : counts;
+}
+
+function describeDisputeCounts(counts) {
+    if (!counts || (!counts.open && !counts.upheld)) return null;
+    const parts = [];
+    if (counts.open) parts.push(`${counts.open} open dispute${counts.open === 1 ? '' : 's'}`);
+    if (counts.upheld) parts.push(`${counts.upheld} upheld`);
+    return `⚠️ ${parts.join(', ')}`;
+}
+
+function buildDisputeEmbed(dispute) {
+    const outcome = DISPUTE_OUTCOMES[dispute.status];
+    const embed = new EmbedBuilder()
+        .setColor(outcome ? outcome.color : 0xc0392b)
+        .setTitle(`Dispute #${dispute.id}${outcome ? ` — ${outcome.label}` : ''}`)
+        .setDescription(truncateContent(dispute.reason, 2000))
+        .addFields(
+            { name: 'Provider', value: `<@${dispute.provider_id}>`, inline: true },
+            { name: 'Reported by', value: `<@${dispute.reporter_id}>`, inline: true },
+            { name: 'Status', value: outcome ? outcome.label : 'Open', inline: true }
+        )
+        .setTimestamp();
+    if (dispute.evidence.length) {
+        embed.addFields({
+            name: 'Evidence',
+            value: dispute.evidence.map((att, index) => `[${att.name || `Image ${index + 1}`}](${att.url})`).join(' • ')
+        });
+        embed.setImage(dispute.evidence[0].url);
+    }
+    if (outcome) {
+        const resolution = [`By <@${dispute.resolved_by}>`];
+        if (dispute.penalty) resolution.push(`${formatPoints(dispute.penalty)} removed`);
+        if (dispute.resolution_note) resolution.push(dispute.resolution_note);
+        embed.addFields({ name: 'Resolution', value: truncateContent(resolution.join(' • '), 1000) });
+    } else {
+        embed.setFooter({ text: 'Resolve with the buttons below or /disputes resolve.' });
+    }
+    return embed;
+}
+
+function buildDisputeComponents(disputeId) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${DISPUTE_COMPONENT_PREFIX}:penalized:${disputeId}`)
+                .setLabel('Penalize')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`${DISPUTE_COMPONENT_PREFIX}:warned:${disputeId}`)
+                .setLabel('Warn')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`${DISPUTE_COMPONENT_PREFIX}:dismissed:${disputeId}`)
+                .setLabel('Dismiss')
+                .setStyle(ButtonStyle.Secondary)
+        )
+    ];
+}
+
+// Disputes go to the dispute channel, or the mod log when none is set.
+async function postDisputeToQueue(guild, dispute) {
+    const channelId = await getSetting(guild.id, 'dispute_channel_id') || await getSetting(guild.id, 'mod_log_channel_id');
+    if (!channelId) return false;
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`Dispute channel ${channelId} is not available in guild ${guild.id}.`);
+        return false;
+    }
+    const message = await channel.send({
+        embeds: [buildDisputeEmbed(dispute)],
+        components: buildDisputeComponents(dispute.id),
+        allowedMentions: { parse: [] }
+    }).catch((error) => {
+        console.error(`Failed to post dispute #${dispute.id} in guild ${guild.id}:`, error);
+        return null;
+    });
+    if (!message) return false;
+    await setDisputeQueueMessage(dispute.id, channel.id, message.id);
+    return true;
+}
+
+async function updateDisputeQueueMessage(guild, dispute) {
+    if (!dispute.queue_channel_id || !dispute.queue_message_id) return;
+    const channel = await guild.channels.fetch(dispute.queue_channel_id).catch(() => null);
+    const message = channel?.isTextBased() ? await channel.messages.fetch(dispute.queue_message_id).catch(() => null) : null;
+    if (!message) return;
+    await message.edit({ embeds: [buildDisputeEmbed(dispute)], components: [] }).catch((error) => {
+        console.error(`Failed to update dispute #${dispute.id}:`, error);
+    });
+}
+
+/**
+ * Closes an open dispute. 'penalized' removes `points` from the provider in
+ * the same transaction. The provider is DMed about penalties and warnings and
+ * the reporter about every outcome. Resolves with { dispute, change } or { error }.
+ */
+async function resolveDispute(guild, dispute, moderator, outcome, { points = null, note = null } = {}) {
+    if (!DISPUTE_OUTCOMES[outcome]) return { error: 'Unknown outcome.' };
+    if (outcome === 'penalized' && !(points > 0)) {
+        return { error: 'A point penalty needs a number of points greater than zero.' };
+    }
+
+    const change = await withTransaction(async () => {
+        const resolved = await markDisputeResolved(dispute.id, outcome, {
+            penalty: outcome === 'penalized' ? points : null,
+            note,
+            resolvedBy: moderator.id
+        });
+        if (!resolved) return null;
+        if (outcome !== 'penalized') return {};
+        return adjustBalance(guild.id, dispute.provider_id, null, -points, {
+            reason: 'dispute_penalty',
+            actorId: moderator.id
+        });
+    });
+    if (!change) return { error: 'That dispute has already been resolved.' };
+
+    const updated = await getDisputeById(guild.id, dispute.id);
+    await updateDisputeQueueMessage(guild, updated);
+    await recordAuditEvent(guild.id, {
+        action: 'dispute_resolved',
+        actorId: moderator.id,
+        targetId: dispute.provider_id,
+        amount: change.delta ?? null,
+        before: change.before ?? null,
+        after: change.after ?? null,
+        details: `Dispute #${dispute.id} reported by <@${dispute.reporter_id}>: ${DISPUTE_OUTCOMES[outcome].label}${note ? ` — ${note}` : ''}`
+    });
+
+    if (outcome !== 'dismissed') {
+        const provider = await client.users.fetch(dispute.provider_id).catch(() => null);
+        if (provider) {
+            const dmEmbed = new EmbedBuilder()
+                .setColor(DISPUTE_OUTCOMES[outcome].color)
+                .setTitle(outcome === 'penalized' ? 'You received a vouch point penalty' : 'You received a warning')
+                .setDescription(`A report against you in **${guild.name}** was upheld by a moderator.`)
+                .addFields({ name: 'Report', value: truncateContent(dispute.reason, 1000) })
+                .setTimestamp();
+            if (outcome === 'penalized') {
+                dmEmbed.addFields(
+                    { name: 'Points removed', value: formatPoints(-change.delta), inline: true },
+                    { name: 'New total', value: formatPoints(change.after), inline: true }
+                );
+            }
+            if (note) dmEmbed.addFields({ name: 'Moderator note', value: truncateContent(note, 1000) });
+            const digestLine = outcome === 'penalized'
+                ? `A report against you (#${dispute.id}) was upheld: ${formatSignedPoints(change.delta)}`
+                : `A report against you (#${dispute.id}) was upheld with a warning`;
+            await notifyMember(guild, provider, dmEmbed, digestLine, change.delta || 0);
+        }
+    }
+
+    const reporter = await client.users.fetch(dispute.reporter_id).catch(() => null);
+    if (reporter) {
+        const reporterEmbed = new EmbedBuilder()
+            .setColor(DISPUTE_OUTCOMES[outcome].color)
+            .setTitle(`Your report #${dispute.id} was resolved`)
+            .setDescription(`Your report against <@${dispute.provider_id}> in **${guild.name}** was resolved: **${DISPUTE_OUTCOMES[outcome].label}**.`)
+            .setTimestamp();
+        if (note) reporterEmbed.addFields({ name: 'Moderator note', value: truncateContent(note, 1000) });
+        await notifyMember(guild, reporter, reporterEmbed, `Your report #${dispute.id} was resolved: ${DISPUTE_OUTCOMES[outcome].label}`);
+    }
+    return { dispute: updated, change };
+}
+
+async function handleReportCommand(interaction) {
+    // Storing the evidence and posting to the queue can outlast the 3 second reply window.
+    await interaction.deferReply({ ephemeral: true });
+    const provider = interaction.options.getUser('provider', true);
+    const reason = interaction.options.getString('reason', true).trim();
+    if (provider.id === interaction.user.id || provider.bot) {
+        await interaction.editReply({ content: 'You can only report other members.' });
+        return;
+    }
+    const evidence = DISPUTE_EVIDENCE_OPTIONS
+        .map((name) => interaction.options.getAttachment(name))
+        .filter(Boolean);
+    if (evidence.some((attachment) => !isImageAttachment(attachment))) {
+        await interaction.editReply({ content: 'Evidence must be images (JPEG, PNG, GIF or WebP).' });
+        return;
+    }
+    const existing = await findOpenDispute(interaction.guildId, interaction.user.id, provider.id);
+    if (existing) {
+        await interaction.editReply({ content: `You already have an open report against ${provider} (#${existing.id}). A moderator will review it.` });
+        return;
+    }
+
+    const id = await createDispute({
+        guildId: interaction.guildId,
+        reporterId: interaction.user.id,
+        reporterTag: getSafeUserTag(interaction.user),
+        providerId: provider.id,
+        reason,
+        evidence
+    });
+    const queued = await postDisputeToQueue(interaction.guild, await getDisputeById(interaction.guildId, id));
+    await interaction.editReply({
+        content: `Thanks — your report #${id} against ${provider} was sent to the moderators.${queued ? '' : ' They will review it with `/disputes list`.'}`
+    });
+}
+
+async function handleDisputesCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+        const status = interaction.options.getString('status') || 'open';
+        const provider = interaction.options.getUser('provider');
+        const disputes = await listDisputes(interaction.guildId, { status, providerId: provider?.id || null });
+        const embed = new EmbedBuilder()
+            .setColor(0xc0392b)
+            .setTitle(`${status === 'all' ? 'All' : DISPUTE_OUTCOMES[status]?.label || 'Open'} disputes${provider ? ` against ${provider.username}` : ''}`)
+            .setDescription(
+                disputes.length
+                    ? disputes
+                          .map((dispute) => {
+                              const state = DISPUTE_OUTCOMES[dispute.status]?.label || 'Open';
+                              const evidence = dispute.evidence.length ? ` • ${dispute.evidence.length} image${dispute.evidence.length === 1 ? '' : 's'}` : '';
+                              return `\`#${dispute.id}\` <@${dispute.provider_id}> reported by <@${dispute.reporter_id}> • ${state}${evidence}\n${truncateContent(dispute.reason, 150)}`;
+                          })
+                          .join('\n')
+                    : '_No matching disputes._'
+            )
+            .setFooter({ text: 'Resolve with /disputes resolve id:<id> outcome:<outcome>.' })
+            .setTimestamp();
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+    }
+
+    const dispute = await getDisputeById(interaction.guildId, interaction.options.getInteger('id', true));
+    if (!dispute) {
+        await interaction.reply({ content: 'No dispute was found with that ID.', ephemeral: true });
+        return;
+    }
+    await interaction.deferReply({ ephemeral: true });
+    const result = await resolveDispute(interaction.guild, dispute, interaction.user, interaction.options.getString('outcome', true), {
+        points: interaction.options.getInteger('points'),
+        note: interaction.options.getString('note')
+    });
+    await interaction.editReply({ content: result.error || describeDisputeResolution(result) });
+}
+
+function describeDisputeResolution({ dispute, change }) {
+    const penalty = dispute.status === 'penalized' ? ` ${formatPoints(-change.delta)} removed; new total ${formatPoints(change.after)}.` : '';
+    return `Dispute #${dispute.id} resolved: ${DISPUTE_OUTCOMES[dispute.status].label}.${penalty}`;
+}
+
+async function handleDisputeComponent(interaction) {
+    const [, action, rawId, outcome] = interaction.customId.split(':');
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+        await interaction.reply({ content: 'You need the Manage Messages permission to resolve disputes.', ephemeral: true });
+        return;
+    }
+    const dispute = await getDisputeById(interaction.guildId, Number(rawId));
+    if (!dispute) {
+        await interaction.reply({ content: 'That dispute no longer exists.', ephemeral: true });
+        return;
+    }
+
+    if (action === 'resolve') {
+        const rawPoints = outcome === 'penalized' ? interaction.fields.getTextInputValue('points').trim() : null;
+        const points = rawPoints === null ? null : Number(rawPoints);
+        if (rawPoints !== null && !(Number.isInteger(points) && points > 0)) {
+            await interaction.reply({ content: 'The penalty must be a whole number of points greater than zero.', ephemeral: true });
+            return;
+        }
+        await interaction.deferReply({ ephemeral: true });
+        const result = await resolveDispute(interaction.guild, dispute, interaction.user, outcome, {
+            points,
+            note: interaction.fields.getTextInputValue('note').trim() || null
+        });
+        await interaction.editReply({ content: result.error || describeDisputeResolution(result) });
+        return;
+    }
+
+    if (!DISPUTE_OUTCOMES[action]) {
+        await interaction.reply({ content: 'Unknown action.', ephemeral: true });
+        return;
+    }
+    if (dispute.status !== 'open') {
+        await interaction.reply({ content: 'That dispute has already been resolved.', ephemeral: true });
+        return;
+    }
+    const modal = new ModalBuilder()
+        .setCustomId(`${DISPUTE_COMPONENT_PREFIX}:resolve:${dispute.id}:${action}`)
+        .setTitle(`${DISPUTE_OUTCOMES[action].label} for dispute #${dispute.id}`);
+    if (action === 'penalized') {
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('points')
+                    .setLabel('Points to remove')
+                    .setStyle(TextInputStyle.Short)
+                    .setRequired(true)
+                    .setMaxLength(6)
+            )
+        );
+    }
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('note')
+                .setLabel('Note (sent to the reporter and provider)')
+                .setStyle(TextInputStyle.Paragraph)
+                .setRequired(action !== 'dismissed')
+                .setMaxLength(500)
+        )
+    );
+    await interaction.showModal(modal);
+}
+
+// Points shop. Admins list rewards per guild and members spend points on them
+// with /redeem. Role rewards are granted at once (and taken back after
+// duration_days when set), perks are delivered by DM, and manual items wait in
+// the fulfilment queue until an admin marks them done.
+const SHOP_COMPONENT_PREFIX = 'shop';
+const SHOP_ITEM_KINDS = {
+    role: 'Role',
+    perk: 'Perk',
+    manual: 'Manual fulfilment'
+};
+const REDEMPTION_STATUSES = {
+    pending: 'Awaiting fulfilment',
+    active: 'Active',
+    fulfilled: 'Fulfilled',
+    expired: 'Expired',
+    refunded: 'Refunded'
+};
+const REFUNDABLE_REDEMPTION_STATUSES = ['pending', 'active', 'fulfilled'];
+const SHOP_EXPIRY_INTERVAL_MS = 10 * 60 * 1000;
+
+function createShopItem(guildId, item) {
+    return runAsync(
+        `INSERT INTO shop_items (guild_id, name, description, kind, cost, role_id, duration_days, delivery_message, stock, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            guildId,
+            item.name,
+            item.description || null,
+            item.kind,
+            item.cost,
+            item.roleId || null,
+            item.durationDays || null,
+            item.deliveryMessage || null,
+            item.stock ?? null,
+            item.createdBy
+        ]
+    ).then((result) => result.lastID);
+}
+
+function listShopItems(guildId) {
+    return allAsync('SELECT * FROM shop_items WHERE guild_id = ? AND enabled = 1 ORDER BY cost, id', [guildId]);
+}
+
+function getShopItem(guildId, id) {
+    return getAsync('SELECT * FROM shop_items WHERE guild_id = ? AND id = ?', [guildId, id]);
+}
+
+function disableShopItem(guildId, id) {
+    return runAsync('UPDATE shop_items SET enabled = 0 WHERE guild_id = ? AND id = ? AND enabled = 1', [guildId, id])
+        .then((result) => result.changes > 0);
+}
+
+function getRedemption(guildId, id) {
+    return getAsync('SELECT * FROM redemptions WHERE guild_id = ? AND id = ?', [guildId, id]);
+}
+
+function listRedemptions(guildId, { status = 'pending', limit = 15 } = {}) {
+    return allAsync(
+        `SELECT * FROM redemptions
+         WHERE guild_id = ? AND (? = 'all' OR status = ?)
+         ORDER BY id ${status === 'pending' ? 'ASC' : 'DESC'}
+         LIMIT ?`,
+        [guildId, status, status, limit]
+    );
+}
+
+function describeShopItem(item) {
+    const parts = [`${formatPoints(item.cost)}`, SHOP_ITEM_KINDS[item.kind]];
+    if (item.kind === 'role') {
+        parts.push(`<@&${item.role_id}>${item.duration_days ? ` for ${item.duration_days} day${item.duration_days === 1 ? '' : 's'}` : ''}`);
+    }
+    if (item.stock !== null) parts.push(item.stock > 0 ? `${item.stock} left` : 'sold out');
+    return parts.join(' • ');
+}
+
+/**
+ * Spends the item's cost and records the redemption in one transaction.
+ * `expectedCost` is the price the member confirmed; a changed price, an empty
+ * stock, an active copy of the same role reward, a role the member already
+ * holds (`heldRoleIds`) or too few points abort the purchase. Resolves with
+ * { redemption, item, change } or { error }.
+ */
+function redeemShopItem(guildId, user, itemId, expectedCost, { heldRoleIds = [] } = {}) {
+    return withTransaction(async () => {
+        const item = await getShopItem(guildId, itemId);
+        if (!item || !item.enabled) return { error: 'That item is no longer in the shop.' };
+        if (item.cost !== expectedCost) {
+            return { error: `The price of ${item.name} changed to ${formatPoints(item.cost)}. Run \`/redeem\` again to confirm.` };
+        }
+        if (item.stock !== null && item.stock <= 0) return { error: `${item.name} is sold out.` };
+        if (item.kind === 'role') {
+            const active = await getAsync(
+                "SELECT expires_at FROM redemptions WHERE guild_id = ? AND user_id = ? AND item_id = ? AND status = 'active'",
+                [guildId, user.id, item.id]
+            );
+            if (active) return { error: `You already have ${item.name} until <t:${toUnixSeconds(active.expires_at)}:f>.` };
+            if (heldRoleIds.includes(item.role_id)) return { error: `You already have <@&${item.role_id}>.` };
+        }
+        const balance = await getUserPoints(guildId, user.id);
+        if (balance < item.cost) {
+            return { error: `${item.name} costs ${formatPoints(item.cost)} but you only have ${formatPoints(balance)}.` };
+        }
+
+        if (item.stock !== null) {
+            await runAsync('UPDATE shop_items SET stock = stock - 1 WHERE id = ?', [item.id]);
+        }
+        const change = await adjustBalance(guildId, user.id, user.username, -item.cost, {
+            reason: 'redemption',
+            actorId: user.id
+        });
+        let status = 'fulfilled';
+        if (item.kind === 'manual') status = 'pending';
+        if (item.kind === 'role' && item.duration_days) status = 'active';
+        const expiresAt = status === 'active' ? toSqliteTimestamp(new Date(Date.now() + item.duration_days * DAY_MS)) : null;
+        const result = await runAsync(
+            `INSERT INTO redemptions (guild_id, item_id, user_id, item_name, kind, cost, role_id, status, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [guildId, item.id, user.id, item.name, item.kind, item.cost, item.role_id, status, expiresAt]
+        );
+        return { redemption: await getRedemption(guildId, result.lastID), item, change };
+    });
+}
+
+/**
+ * Gives the points back and returns the item to stock. Role rewards are
+ * removed from the member. Resolves with { redemption, change } or { error }.
+ */
+async function refundRedemption(guild, redemption, actorId, reason) {
+    const change = await withTransaction(async () => {
+        const updated = await runAsync(
+            `UPDATE redemptions
+             SET status = 'refunded', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, note = ?
+             WHERE id = ? AND status IN (${REFUNDABLE_REDEMPTION_STATUSES.map(() => '?').join(', ')})`,
+            [actorId, reason || null, redemption.id, ...REFUNDABLE_REDEMPTION_STATUSES]
+        );
+        if (updated.changes === 0) return null;
+        await runAsync('UPDATE shop_items SET stock = stock + 1 WHERE id = ? AND stock IS NOT NULL', [redemption.item_id]);
+        return adjustBalance(guild.id, redemption.user_id, null, redemption.cost, {
+            reason: 'redemption_refund',
+            actorId
+        });
+    });
+    if (!change) return { error: await describeClosedRedemption(guild.id, redemption.id) };
+    if (redemption.kind === 'role') await removeRedeemedRole(guild, redemption, 'Shop redemption refunded');
+    return { redemption: await getRedemption(guild.id, redemption.id), change };
+}
+
+function markRedemptionFulfilled(id, actorId, note) {
+    return runAsync(
+        `UPDATE redemptions
+         SET status = 'fulfilled', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, note = ?
+         WHERE id = ? AND status = 'pending'`,
+        [actorId, note || null, id]
+    ).then((result) => result.changes > 0);
+}
+
+async function describeClosedRedemption(guildId, id) {
+    const current = await getRedemption(guildId, id);
+    return `Redemption #${id} is already ${REDEMPTION_STATUSES[current.status].toLowerCase()}.`;
+}
+
+// Leaves the role alone when the shop did not add it, or while another active
+// redemption still grants it.
+async function removeRedeemedRole(guild, redemption, reason) {
+    if (!redemption.role_added) return;
+    const other = await getAsync(
+        "SELECT id FROM redemptions WHERE guild_id = ? AND user_id = ? AND role_id = ? AND status = 'active' AND id <> ?",
+        [guild.id, redemption.user_id, redemption.role_id, redemption.id]
+    );
+    if (other) return;
+    const member = await guild.members.fetch(redemption.user_id).catch(() => null);
+    if (!member) return;
+    await member.roles.remove(redemption.role_id, reason).catch((error) => {
+        console.error(`Failed to remove shop role ${redemption.role_id} from ${member.id} in guild ${guild.id}:`, error);
+    });
+}
+
+function buildRedemptionEmbed(redemption) {
+    const embed = new EmbedBuilder()
+        .setColor(redemption.status === 'pending' ? 0xf1c40f : redemption.status === 'refunded' ? 0xe74c3c : 0x2ecc71)
+        .setTitle(`Redemption #${redemption.id}: ${redemption.item_name}`)
+        .addFields(
+            { name: 'Member', value: `<@${redemption.user_id}>`, inline: true },
+            { name: 'Cost', value: formatPoints(redemption.cost), inline: true },
+            { name: 'Status', value: REDEMPTION_STATUSES[redemption.status], inline: true }
+        )
+        .setTimestamp();
+    if (redemption.resolved_by) {
+        embed.addFields({
+            name: 'Handled by',
+            value: `<@${redemption.resolved_by}>${redemption.note ? ` • ${truncateContent(redemption.note, 900)}` : ''}`
+        });
+    }
+    return embed;
+}
+
+function buildRedemptionComponents(redemptionId) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${SHOP_COMPONENT_PREFIX}:done:${redemptionId}`)
+                .setLabel('Mark done')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`${SHOP_COMPONENT_PREFIX}:refund:${redemptionId}`)
+                .setLabel('Refund')
+                .setStyle(ButtonStyle.Danger)
+        )
+    ];
+}
+
+// Manual redemptions go to the shop channel, or the mod log when none is set.
+async function postRedemptionToQueue(guild, redemption) {
+    const channelId = await getSetting(guild.id, 'shop_channel_id') || await getSetting(guild.id, 'mod_log_channel_id');
+    if (!channelId) return;
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.warn(`Shop channel ${channelId} is not available in guild ${guild.id}.`);
+        return;
+    }
+    const message = await channel.send({
+        embeds: [buildRedemptionEmbed(redemption)],
+        components: buildRedemptionComponents(redemption.id),
+        allowedMentions: { parse: [] }
+    }).catch((error) => {
+        console.error(`Failed to post redemption #${redemption.id} in guild ${guild.id}:`, error);
+        return null;
+    });
+    if (message) {
+        await runAsync('UPDATE redemptions SET queue_channel_id = ?, queue_message_id = ? WHERE id = ?', [channel.id, message.id, redemption.id]);
+    }
+}
+
+async function updateRedemptionQueueMessage(guild, redemption) {
+    if (!redemption.queue_channel_id || !redemption.queue_message_id) return;
+    const channel = await guild.channels.fetch(redemption.queue_channel_id).catch(() => null);
+    const message = channel?.isTextBased() ? await channel.messages.fetch(redemption.queue_message_id).catch(() => null) : null;
+    if (!message) return;
+    await message.edit({ embeds: [buildRedemptionEmbed(redemption)], components: [] }).catch((error) => {
+        console.error(`Failed to update redemption #${redemption.id}:`, error);
+    });
+}
+
+// Grants or delivers what was bought. A role the bot cannot grant is refunded
+// straight away. Returns the text shown to the member.
+async function deliverRedemption(guild, user, { redemption, item, change }) {
+    const remaining = `You have ${formatPoints(change.after)} left.`;
+    if (item.kind === 'role') {
+        const member = await guild.members.fetch(user.id).catch(() => null);
+        const alreadyHeld = Boolean(member?.roles.cache.has(item.role_id));
+        const granted = member
+            ? await member.roles.add(item.role_id, `Redeemed in the shop (#${redemption.id})`).then(() => true, (error) => {
+                console.error(`Failed to grant shop role ${item.role_id} to ${user.id} in guild ${guild.id}:`, error);
+                return false;
+            })
+            : false;
+        if (granted && !alreadyHeld) {
+            await runAsync('UPDATE redemptions SET role_added = 1 WHERE id = ?', [redemption.id]);
+        }
+        if (!granted) {
+            const refund = await refundRedemption(guild, redemption, null, 'The role could not be granted.');
+            if (refund.error) return `I could not give you <@&${item.role_id}>. Please ask an admin to refund redemption #${redemption.id}.`;
+            await recordAuditEvent(guild.id, {
+                action: 'redemption_refunded',
+                targetId: user.id,
+                subject: item.name,
+                amount: refund.change.delta,
+                before: refund.change.before,
+                after: refund.change.after,
+                details: `Redemption #${redemption.id}: the role could not be granted.`
+            });
+            return `I could not give you <@&${item.role_id}>, so you got your ${formatPoints(item.cost)} back. Please let an admin know.`;
+        }
+        const until = redemption.expires_at ? ` until <t:${toUnixSeconds(redemption.expires_at)}:f>` : '';
+        return `You now have <@&${item.role_id}>${until}. ${remaining}`;
+    }
+    if (item.kind === 'perk') {
+        await user.send({
+            embeds: [
+                new EmbedBuilder()
+                    .setColor(0x2ecc71)
+                    .setTitle(`Your ${item.name}`)
+                    .setDescription(item.delivery_message)
+                    .setFooter({ text: `${guild.name} • Redemption #${redemption.id}` })
+                    .setTimestamp()
+            ]
+        }).catch(() => {});
+        return `Redeemed **${item.name}**:\n${item.delivery_message}\n\n${remaining}`;
+    }
+    await postRedemptionToQueue(guild, redemption);
+    return `Redeemed **${item.name}**. An admin will fulfil it soon (redemption #${redemption.id}). ${remaining}`;
+}
+
+async function handleShopCommand(interaction) {
+    const items = await listShopItems(interaction.guildId);
+    const balance = await getUserPoints(interaction.guildId, interaction.user.id);
+    const embed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle(`🛒 ${interaction.guild.name} shop`)
+        .setDescription(
+            items.length
+                ? items
+                      .map((item) => `\`#${item.id}\` **${item.name}** — ${describeShopItem(item)}${item.description ? `\n${truncateContent(item.description, 200)}` : ''}`)
+                      .join('\n')
+                : '_The shop is empty. Admins can add rewards with `/shopadmin add`._'
+        )
+        .addFields({ name: 'Your balance', value: formatPoints(balance), inline: true })
+        .setFooter({ text: 'Spend points with /redeem item:<number>.' })
+        .setTimestamp();
+    await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function handleRedeemCommand(interaction) {
+    const item = await getShopItem(interaction.guildId, interaction.options.getInteger('item', true));
+    if (!item || !item.enabled) {
+        await interaction.reply({ content: 'There is no such item in the shop. See `/shop` for the list.', ephemeral: true });
+        return;
+    }
+    if (item.kind === 'role' && interaction.member?.roles.cache.has(item.role_id)) {
+        await interaction.reply({ content: `You already have <@&${item.role_id}>.`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+    }
+    const balance = await getUserPoints(interaction.guildId, interaction.user.id);
+    if (balance < item.cost) {
+        await interaction.reply({ content: `${item.name} costs ${formatPoints(item.cost)} but you only have ${formatPoints(balance)}.`, ephemeral: true });
+        return;
+    }
+    const embed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle(`Redeem ${item.name}?`)
+        .setDescription(`${describeShopItem(item)}${item.description ? `\n\n${item.description}` : ''}`)
+        .addFields(
+            { name: 'Balance now', value: formatPoints(balance), inline: true },
+            { name: 'Balance after', value: formatPoints(balance - item.cost), inline: true }
+        );
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${SHOP_COMPONENT_PREFIX}:confirm:${item.id}:${item.cost}`)
+            .setLabel(`Spend ${formatPoints(item.cost)}`)
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`${SHOP_COMPONENT_PREFIX}:cancel:${item.id}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    await interaction.reply({ embeds: [embed], components: [row], ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+async function completeRedemption(interaction, redemption, note) {
+    if (!(await markRedemptionFulfilled(redemption.id, interaction.user.id, note))) {
+        return describeClosedRedemption(interaction.guildId, redemption.id);
+    }
+    const updated = await getRedemption(interaction.guildId, redemption.id);
+    await updateRedemptionQueueMessage(interaction.guild, updated);
+    await recordAuditEvent(interaction.guildId, {
+        action: 'redemption_fulfilled',
+        actorId: interaction.user.id,
+        targetId: redemption.user_id,
+        subject: redemption.item_name,
+        details: `Redemption #${redemption.id}${note ? `: ${note}` : ''}`
+    });
+    const user = await client.users.fetch(redemption.user_id).catch(() => null);
+    const embed = new EmbedBuilder()
+        .setColor(0x2ecc71)
+        .setTitle(`${redemption.item_name} was fulfilled`)
+        .setDescription(`Your redemption #${redemption.id} in **${interaction.guild.name}** has been fulfilled.${note ? `\n\n${note}` : ''}`)
+        .setTimestamp();
+    await notifyMember(interaction.guild, user, embed, `${redemption.item_name} (redemption #${redemption.id}) was fulfilled`);
+    return `Redemption #${redemption.id} marked as fulfilled.`;
+}
+
+async function refundRedemptionAs(interaction, redemption, reason) {
+    const result = await refundRedemption(interaction.guild, redemption, interaction.user.id, reason);
+    if (result.error) return result.error;
+    await updateRedemptionQueueMessage(interaction.guild, result.redemption);
+    await recordAuditEvent(interaction.guildId, {
+        action: 'redemption_refunded',
+        actorId: interaction.user.id,
+        targetId: redemption.user_id,
+        subject: redemption.item_name,
+        amount: result.change.delta,
+        before: result.change.before,
+        after: result.change.after,
+        details: `Redemption #${redemption.id}${reason ? `: ${reason}` : ''}`
+    });
+    const user = await client.users.fetch(redemption.user_id).catch(() => null);
+    const embed = new EmbedBuilder()
+        .setColor(0xe67e22)
+        .setTitle(`${redemption.item_name} was refunded`)
+        .setDescription(`Your ${formatPoints(redemption.cost)} for redemption #${redemption.id} in **${interaction.guild.name}** were refunded.${reason ? `\n\n${reason}` : ''}`)
+        .setTimestamp();
+    await notifyMember(interaction.guild, user, embed, `${redemption.item_name} was refunded (${formatSignedPoints(redemption.cost)})`, redemption.cost);
+    return `Redemption #${redemption.id} refunded: ${formatPoints(result.change.delta)} returned to <@${redemption.user_id}>.`;
+}
+
+async function handleShopComponent(interaction) {
+    const [, action, rawId, rawCost] = interaction.customId.split(':');
+    if (action === 'cancel') {
+        await interaction.update({ content: 'Nothing was redeemed.', embeds: [], components: [] });
+        return;
+    }
+    if (action === 'confirm') {
+        await interaction.update({ content: 'Redeeming…', embeds: [], components: [] });
+        const result = await redeemShopItem(interaction.guildId, interaction.user, Number(rawId), Number(rawCost), {
+            heldRoleIds: [...(interaction.member?.roles.cache.keys() || [])]
+        });
+        if (result.error) {
+            await interaction.editReply({ content: result.error });
+            return;
+        }
+        await recordAuditEvent(interaction.guildId, {
+            action: 'points_redeemed',
+            actorId: interaction.user.id,
+            targetId: interaction.user.id,
+            subject: result.item.name,
+            amount: result.change.delta,
+            before: result.change.before,
+            after: result.change.after,
+            details: `Redemption #${result.redemption.id}`
+        });
+        await interaction.editReply({ content: await deliverRedemption(interaction.guild, interaction.user, result), allowedMentions: { parse: [] } });
+        return;
+    }
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+        return;
+    }
+    const redemption = await getRedemption(interaction.guildId, Number(rawId));
+    if (!redemption) {
+        await interaction.reply({ content: 'That redemption no longer exists.', ephemeral: true });
+        return;
+    }
+    await interaction.deferReply({ ephemeral: true });
+    const content = action === 'done'
+        ? await completeRedemption(interaction, redemption, null)
+        : await refundRedemptionAs(interaction, redemption, null);
+    await interaction.editReply({ content });
+}
+
+async function handleShopAdminCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'add': {
+            const kind = interaction.options.getString('type', true);
+            const role = interaction.options.getRole('role');
+            const days = interaction.options.getInteger('days');
+            const delivery = interaction.options.getString('delivery');
+            if (kind === 'role' && !role) {
+                await interaction.reply({ content: 'Role rewards need a `role`.', ephemeral: true });
+                return;
+            }
+            if (kind === 'role' && (role.managed || role.id === guildId || !role.editable)) {
+                await interaction.reply({ content: `I cannot grant ${role}. Pick another role or move my role above it.`, ephemeral: true, allowedMentions: { parse: [] } });
+                return;
+            }
+            if (kind === 'perk' && !delivery) {
+                await interaction.reply({ content: 'Perks need a `delivery` message, which is DMed to the member when they redeem it.', ephemeral: true });
+                return;
+            }
+            const item = {
+                name: interaction.options.getString('name', true).trim(),
+                description: interaction.options.getString('description'),
+                kind,
+                cost: interaction.options.getInteger('cost', true),
+                roleId: kind === 'role' ? role.id : null,
+                durationDays: kind === 'role' ? days : null,
+                deliveryMessage: kind === 'perk' ? delivery : null,
+                stock: interaction.options.getInteger('stock'),
+                createdBy: interaction.user.id
+            };
+            const id = await createShopItem(guildId, item);
+            const created = await getShopItem(guildId, id);
+            await auditConfigChange(interaction, `Shop item #${id}`, null, `${created.name} (${describeShopItem(created)})`);
+            await interaction.reply({
+                content: `Added \`#${id}\` **${created.name}** — ${describeShopItem(created)}.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+        case 'remove': {
+            const id = interaction.options.getInteger('item', true);
+            const item = await getShopItem(guildId, id);
+            const removed = await disableShopItem(guildId, id);
+            if (removed) await auditConfigChange(interaction, `Shop item #${id}`, item.name, null);
+            await interaction.reply({
+                content: removed
+                    ? `**${item.name}** was removed from the shop. Existing redemptions are kept.`
+                    : 'There is no such item in the shop.',
+                ephemeral: true
+            });
+            return;
+        }
+        case 'queue': {
+            const status = interaction.options.getString('status') || 'pending';
+            const redemptions = await listRedemptions(guildId, { status });
+            const embed = new EmbedBuilder()
+                .setColor(0xf1c40f)
+                .setTitle(status === 'all' ? 'Redemptions' : `Redemptions: ${REDEMPTION_STATUSES[status].toLowerCase()}`)
+                .setDescription(
+                    redemptions.length
+                        ? redemptions
+                              .map((entry) => {
+                                  const expiry = entry.status === 'active' ? ` • ends <t:${toUnixSeconds(entry.expires_at)}:R>` : '';
+                                  return `\`#${entry.id}\` <@${entry.user_id}> — **${entry.item_name}** (${formatPoints(entry.cost)}) • ${REDEMPTION_STATUSES[entry.status]}${expiry} • <t:${toUnixSeconds(entry.created_at)}:R>`;
+                              })
+                              .join('\n')
+                        : '_Nothing here._'
+                )
+                .setFooter({ text: 'Close redemptions with /shopadmin done or /shopadmin refund.' })
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'done':
+        case 'refund': {
+            const redemption = await getRedemption(guildId, interaction.options.getInteger('id', true));
+            if (!redemption) {
+                await interaction.reply({ content: 'No redemption was found with that ID.', ephemeral: true });
+                return;
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const note = interaction.options.getString('note');
+            const content = subcommand === 'done'
+                ? await completeRedemption(interaction, redemption, note)
+                : await refundRedemptionAs(interaction, redemption, note);
+            await interaction.editReply({ content });
+            return;
+        }
+        case 'channel': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'shop_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'shop_channel_id');
+                await interaction.reply({ content: 'Redemptions will be queued in the mod log channel.', ephemeral: true });
+                await auditConfigChange(interaction, 'Shop fulfilment channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'shop_channel_id', channel.id);
+            await interaction.reply({ content: `Redemptions that need an admin will be posted in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Shop fulfilment channel', before, `${channel}`);
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown shop option.', ephemeral: true });
+    }
+}
+
+async function expireShopRolesForGuild(guild) {
+    const due = await allAsync(
+        "SELECT * FROM redemptions WHERE guild_id = ? AND status = 'active' AND expires_at <= ?",
+        [guild.id, toSqliteTimestamp(new Date())]
+    );
+    for (const redemption of due) {
+        const updated = await runAsync(
+            "UPDATE redemptions SET status = 'expired', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'",
+            [redemption.id]
+        );
+        if (updated.changes === 0) continue;
+        await removeRedeemedRole(guild, redemption, 'Shop reward expired');
+        const user = await client.users.fetch(redemption.user_id).catch(() => null);
+        const embed = new EmbedBuilder()
+            .setColor(0x95a5a6)
+            .setTitle(`${redemption.item_name} has ended`)
+            .setDescription(`Your <@&${redemption.role_id}> reward in **${guild.name}** has expired. Redeem it again with \`/redeem item:${redemption.item_id}\`.`)
+            .setTimestamp();
+        await notifyMember(guild, user, embed, `${redemption.item_name} has ended`);
+    }
+}
+
+async function expireShopRoles() {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            await expireShopRolesForGuild(guild);
+        } catch (error) {
+            console.error(`Failed to expire shop rewards for guild ${guild.id}:`, error);
+        }
+    }
+}
+
+const slashCommands = [
+    {
+        name: 'vouchpoints',
+        description: 'Check vouch points for yourself or another user.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'user',
+                description: 'User to check',
+                type: 6,
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'profile',
+        description: "Show a provider's reputation: points, rank, ratings, reviews and recent vouches.",
+        dm_permission: false,
+        options: [
+            {
+                name: 'user',
+                description: 'User to show',
+                type: 6,
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'vouchsettings',
+        description: 'Your personal vouch bot settings for this server.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'notifications',
+                description: 'View or change how the bot DMs you about vouches.',
+                type: 1,
+                options: [
+                    {
+                        name: 'dms',
+                        description: 'How vouch DMs reach you',
+                        type: 3,
+                        required: false,
+                        choices: Object.entries(DM_MODES).map(([value, name]) => ({ name, value }))
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'vouchhistory',
+        description: 'Show the points history for yourself or another user.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'user',
+                description: 'User to check',
+                type: 6,
+                required: false
+            },
+            {
+                name: 'page',
+                description: 'Page of history to show',
+                type: 4,
+                required: false,
+                min_value: 1
+            }
+        ]
+    },
+    {
+        name: 'leaderboard',
+        description: 'Show the top vouched providers in this server.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'period',
+                description: 'Time window to rank by',
+                type: 3,
+                required: false,
+                choices: [
+                    { name: 'All time', value: 'all' },
+                    { name: 'Last 30 days', value: 'month' },
+                    { name: 'Last 7 days', value: 'week' }
+                ]
+            },
+            {
+                name: 'page',
+                description: 'Page of the leaderboard to show',
+                type: 4,
+                required: false,
+                min_value: 1
+            }
+        ]
+    },
+    {
+        name: 'approvevouch',
+        description: 'Provider: Claim a pending vouch when you were not mentioned.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'id',
+                description: 'Pending vouch ID to approve',
+                type: 4,
+                required: false,
+                min_value: 1
+            }
+        ]
+    },
     {
-        name: 'vouchpoints',
-        description: 'Check vouch points for yourself or another user.',
+        name: 'assignvouch',
+        description: 'Moderator: Assign a pending vouch to a provider and award their points.',
+        default_member_permissions: PermissionFlagsBits.ManageMessages.toString(),
         dm_permission: false,
         options: [
             {
-                name: 'user',
-                description: 'User to check',
+                name: 'id',
+                description: 'Pending vouch ID to assign',
+                type: 4,
+                required: true,
+                min_value: 1
+            },
+            {
+                name: 'provider',
+                description: 'Provider who should receive the vouch',
                 type: 6,
-                required: false
+                required: true
             }
         ]
     },
     {
-        name: 'approvevouch',
-        description: 'Claim a pending vouch when you were not mentioned.',
+        name: 'rejectvouch',
+        description: 'Moderator: Reject a pending vouch and notify the voucher.',
+        default_member_permissions: PermissionFlagsBits.ManageMessages.toString(),
         dm_permission: false,
         options: [
             {
                 name: 'id',
-                description: 'Pending vouch ID to approve',
+                description: 'Pending vouch ID to reject',
+                type: 4,
+                required: true,
+                min_value: 1
+            },
+            {
+                name: 'reason',
+                description: 'Why the vouch is being rejected (sent to the voucher)',
+                type: 3,
+                required: true,
+                max_length: 500
+            }
+        ]
+    },
+    {
+        name: 'vouchoverride',
+        description: 'Moderator: Count a vouch that an anti-abuse rule rejected.',
+        default_member_permissions: PermissionFlagsBits.ManageMessages.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'id',
+                description: 'Rejected vouch ID (leave empty to list recent rejections)',
                 type: 4,
                 required: false,
                 min_value: 1
@@ -497,32 +5691,895 @@ const slashCommands = [
     },
     {
         name: 'setmultiplier',
-        description: 'Admin: Set the global vouch multiplier (minimum 1).',
+        description: 'Admin: Set this server\'s base vouch multiplier (minimum 1).',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'value',
+                description: 'New multiplier value',
+                type: 4,
+                required: true,
+                min_value: 1
+            }
+        ]
+    },
+    {
+        name: 'multiplierstatus',
+        description: 'Show the current vouch multiplier and any multiplier events.',
+        dm_permission: false
+    },
+    {
+        name: 'multiplierevent',
+        description: 'Admin: Schedule time-boxed multiplier events.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'start',
+                description: 'Schedule a multiplier event that reverts automatically.',
+                type: 1,
+                options: [
+                    {
+                        name: 'value',
+                        description: 'Multiplier while the event runs',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'duration',
+                        description: 'How long the event lasts, e.g. 90m, 48h or 2d',
+                        type: 3,
+                        required: true
+                    },
+                    {
+                        name: 'name',
+                        description: 'Name shown in announcements',
+                        type: 3,
+                        required: false,
+                        max_length: 100
+                    },
+                    {
+                        name: 'starts_at',
+                        description: 'When it starts: a delay like 2h, a unix timestamp or a UTC date (default now)',
+                        type: 3,
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'cancel',
+                description: 'Cancel a scheduled or running multiplier event.',
+                type: 1,
+                options: [
+                    {
+                        name: 'id',
+                        description: 'Event ID from /multiplierstatus',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    }
+                ]
+            },
+            {
+                name: 'channel',
+                description: 'Set or clear the channel where event starts and ends are announced.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Announcement channel (leave empty to disable)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'rewardtiers',
+        description: 'Admin: Grant roles automatically when members reach vouch point thresholds.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'add',
+                description: 'Add a reward role or change its threshold and message.',
+                type: 1,
+                options: [
+                    {
+                        name: 'role',
+                        description: 'Role to grant',
+                        type: 8,
+                        required: true
+                    },
+                    {
+                        name: 'threshold',
+                        description: 'Vouch points needed to hold the role',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'message',
+                        description: 'Announcement when reached; {user}, {role} and {points} are filled in',
+                        type: 3,
+                        required: false,
+                        max_length: 500
+                    }
+                ]
+            },
+            {
+                name: 'remove',
+                description: 'Stop granting a reward role automatically.',
+                type: 1,
+                options: [
+                    {
+                        name: 'role',
+                        description: 'Reward role to remove',
+                        type: 8,
+                        required: true
+                    }
+                ]
+            },
+            {
+                name: 'list',
+                description: 'Show the reward roles and their thresholds.',
+                type: 1
+            },
+            {
+                name: 'channel',
+                description: 'Set or clear the channel where reward announcements are posted.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Announcement channel (leave empty to disable)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'shop',
+        description: 'See the rewards you can spend vouch points on.',
+        dm_permission: false
+    },
+    {
+        name: 'redeem',
+        description: 'Spend vouch points on a shop reward.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'item',
+                description: 'Item number from /shop',
+                type: 4,
+                required: true,
+                min_value: 1
+            }
+        ]
+    },
+    {
+        name: 'shopadmin',
+        description: 'Admin: Manage the points shop and fulfil redemptions.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'add',
+                description: 'Add a reward to the shop.',
+                type: 1,
+                options: [
+                    {
+                        name: 'name',
+                        description: 'Name shown in /shop',
+                        type: 3,
+                        required: true,
+                        max_length: 80
+                    },
+                    {
+                        name: 'cost',
+                        description: 'Price in vouch points',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'type',
+                        description: 'What the member gets',
+                        type: 3,
+                        required: true,
+                        choices: [
+                            { name: 'Role (optionally for a number of days)', value: 'role' },
+                            { name: 'Perk (a message DMed on redemption)', value: 'perk' },
+                            { name: 'Manual (an admin fulfils it)', value: 'manual' }
+                        ]
+                    },
+                    {
+                        name: 'role',
+                        description: 'Role to grant (role rewards)',
+                        type: 8,
+                        required: false
+                    },
+                    {
+                        name: 'days',
+                        description: 'Remove the role again after this many days (role rewards; default: keep it)',
+                        type: 4,
+                        required: false,
+                        min_value: 1,
+                        max_value: 365
+                    },
+                    {
+                        name: 'delivery',
+                        description: 'Code or instructions DMed to the member (perks)',
+                        type: 3,
+                        required: false,
+                        max_length: 1000
+                    },
+                    {
+                        name: 'description',
+                        description: 'Description shown in /shop',
+                        type: 3,
+                        required: false,
+                        max_length: 300
+                    },
+                    {
+                        name: 'stock',
+                        description: 'How many can be redeemed in total (default: unlimited)',
+                        type: 4,
+                        required: false,
+                        min_value: 0
+                    }
+                ]
+            },
+            {
+                name: 'remove',
+                description: 'Take a reward out of the shop.',
+                type: 1,
+                options: [
+                    {
+                        name: 'item',
+                        description: 'Item number from /shop',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    }
+                ]
+            },
+            {
+                name: 'queue',
+                description: 'Show redemptions waiting for an admin, or other redemptions.',
+                type: 1,
+                options: [
+                    {
+                        name: 'status',
+                        description: 'Which redemptions to show (default: awaiting fulfilment)',
+                        type: 3,
+                        required: false,
+                        choices: [
+                            ...Object.entries(REDEMPTION_STATUSES).map(([value, name]) => ({ name, value })),
+                            { name: 'All', value: 'all' }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'done',
+                description: 'Mark a redemption as fulfilled.',
+                type: 1,
+                options: [
+                    {
+                        name: 'id',
+                        description: 'Redemption ID from /shopadmin queue',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'note',
+                        description: 'Note sent to the member',
+                        type: 3,
+                        required: false,
+                        max_length: 500
+                    }
+                ]
+            },
+            {
+                name: 'refund',
+                description: 'Return the points for a redemption (and take back a role reward).',
+                type: 1,
+                options: [
+                    {
+                        name: 'id',
+                        description: 'Redemption ID from /shopadmin queue',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'note',
+                        description: 'Reason sent to the member',
+                        type: 3,
+                        required: false,
+                        max_length: 500
+                    }
+                ]
+            },
+            {
+                name: 'channel',
+                description: 'Set or clear the channel where redemptions that need an admin are posted.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Fulfilment channel (leave empty to use the mod log)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'syncroles',
+        description: 'Admin: Grant or remove reward roles so every member matches their points.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false
+    },
+    {
+        name: 'vouchbackfill',
+        description: 'Admin: Count vouches from a channel\'s message history.',
         default_member_permissions: PermissionFlagsBits.Administrator.toString(),
         dm_permission: false,
         options: [
             {
-                name: 'value',
-                description: 'New multiplier value',
-                type: 4,
-                required: true,
-                min_value: 1
+                name: 'channel',
+                description: 'Vouch channel, thread or forum to scan',
+                type: 7,
+                required: true,
+                channel_types: [0, 5, 10, 11, 12, 15]
+            },
+            {
+                name: 'since',
+                description: 'Only scan messages after this: a duration like 90d, a unix timestamp or a UTC date',
+                type: 3,
+                required: false
+            },
+            {
+                name: 'dry_run',
+                description: 'Report what would be counted without changing anything',
+                type: 5,
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'vouchexport',
+        description: 'Admin: Download this server\'s vouch data as CSV or JSON.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'format',
+                description: 'File format (default csv)',
+                type: 3,
+                required: false,
+                choices: [
+                    { name: 'CSV', value: 'csv' },
+                    { name: 'JSON', value: 'json' }
+                ]
+            },
+            {
+                name: 'scope',
+                description: 'What to export (default all)',
+                type: 3,
+                required: false,
+                choices: [
+                    { name: 'Balances', value: 'balances' },
+                    { name: 'Points ledger', value: 'ledger' },
+                    { name: 'Pending vouches', value: 'pending' },
+                    { name: 'Everything', value: 'all' }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'vouchimport',
+        description: 'Admin: Import balances or pending vouches from a CSV or JSON file.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'file',
+                description: 'A /vouchexport file, or a CSV with user_id and points columns',
+                type: 11,
+                required: true
+            }
+        ]
+    },
+    {
+        name: 'vouchbackup',
+        description: 'Admin: List, create or restore database backups.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'list',
+                description: 'Show the available backups and the backup schedule.',
+                type: 1
+            },
+            {
+                name: 'create',
+                description: 'Take a backup now.',
+                type: 1
+            },
+            {
+                name: 'restore',
+                description: 'Replace the database with a backup (asks for confirmation).',
+                type: 1,
+                options: [
+                    {
+                        name: 'name',
+                        description: 'Backup file name from /vouchbackup list',
+                        type: 3,
+                        required: true
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'resetmultiplier',
+        description: 'Admin: Reset the base vouch multiplier back to 1x.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false
+    },
+    {
+        name: 'auditlog',
+        description: 'Admin: Browse the audit log of point, multiplier, vouch and config changes.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'user',
+                description: 'Only show events this user performed or was the target of',
+                type: 6,
+                required: false
+            },
+            {
+                name: 'action',
+                description: 'Only show one kind of event',
+                type: 3,
+                required: false,
+                choices: Object.entries(AUDIT_ACTIONS).map(([value, meta]) => ({ name: meta.label, value }))
+            },
+            {
+                name: 'page',
+                description: 'Page of results to show',
+                type: 4,
+                required: false,
+                min_value: 1
+            }
+        ]
+    },
+    {
+        name: 'report',
+        description: 'Report a provider to the moderators.',
+        dm_permission: false,
+        options: [
+            {
+                name: 'provider',
+                description: 'The provider you are reporting',
+                type: 6,
+                required: true
+            },
+            {
+                name: 'reason',
+                description: 'What happened',
+                type: 3,
+                required: true,
+                max_length: 1000
+            },
+            ...DISPUTE_EVIDENCE_OPTIONS.map((name, index) => ({
+                name,
+                description: index === 0 ? 'Screenshot or other image evidence' : 'More image evidence',
+                type: 11,
+                required: false
+            }))
+        ]
+    },
+    {
+        name: 'disputes',
+        description: 'Moderator: Review and resolve reports against providers.',
+        default_member_permissions: PermissionFlagsBits.ManageMessages.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'list',
+                description: 'Show disputes, newest first.',
+                type: 1,
+                options: [
+                    {
+                        name: 'status',
+                        description: 'Which disputes to show (default: open)',
+                        type: 3,
+                        required: false,
+                        choices: [
+                            { name: 'Open', value: 'open' },
+                            ...Object.entries(DISPUTE_OUTCOMES).map(([value, meta]) => ({ name: meta.label, value })),
+                            { name: 'All', value: 'all' }
+                        ]
+                    },
+                    {
+                        name: 'provider',
+                        description: 'Only show disputes against this provider',
+                        type: 6,
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'resolve',
+                description: 'Resolve a dispute with a point penalty, a warning or a dismissal.',
+                type: 1,
+                options: [
+                    {
+                        name: 'id',
+                        description: 'Dispute ID from /disputes list',
+                        type: 4,
+                        required: true,
+                        min_value: 1
+                    },
+                    {
+                        name: 'outcome',
+                        description: 'How to resolve it',
+                        type: 3,
+                        required: true,
+                        choices: Object.entries(DISPUTE_OUTCOMES).map(([value, meta]) => ({ name: meta.label, value }))
+                    },
+                    {
+                        name: 'points',
+                        description: 'Points to remove (required for a point penalty)',
+                        type: 4,
+                        required: false,
+                        min_value: 1
+                    },
+                    {
+                        name: 'note',
+                        description: 'Note sent to the reporter and the provider',
+                        type: 3,
+                        required: false,
+                        max_length: 500
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'recalculate',
+        description: 'Admin: Rebuild every balance in this server from the points ledger.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false
+    },
+    {
+        name: 'vouchconfig',
+        description: 'Admin: Configure the vouch bot for this server.',
+        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+        dm_permission: false,
+        options: [
+            {
+                name: 'channels',
+                description: 'Choose which channels, categories, threads and forums count as vouch channels.',
+                type: 2,
+                options: [
+                    {
+                        name: 'add',
+                        description: 'Count vouches posted in a channel, category, thread or forum.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'channel',
+                                description: 'Channel, category, thread or forum to add',
+                                type: 7,
+                                required: true,
+                                channel_types: [0, 4, 5, 10, 11, 12, 15]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        description: 'Stop counting vouches in a channel, category, thread or forum.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'channel',
+                                description: 'Channel, category, thread or forum to remove',
+                                type: 7,
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        description: 'Show the configured vouch channels.',
+                        type: 1
+                    },
+                    {
+                        name: 'fallback',
+                        description: 'Also treat any channel with "vouch" in its name (or category name) as a vouch channel.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'enabled',
+                                description: 'Whether the name match is used',
+                                type: 5,
+                                required: true
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'providerroles',
+                description: 'Choose which roles count as providers and how many points each earns per vouch.',
+                type: 2,
+                options: [
+                    {
+                        name: 'add',
+                        description: 'Add a provider role or change its point weight.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'role',
+                                description: 'Role whose members can receive vouches',
+                                type: 8,
+                                required: true
+                            },
+                            {
+                                name: 'weight',
+                                description: 'Points per vouch before the multiplier (default 1)',
+                                type: 4,
+                                required: false,
+                                min_value: 1,
+                                max_value: 100
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        description: 'Stop treating a role as a provider role.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'role',
+                                description: 'Provider role to remove',
+                                type: 8,
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        description: 'Show the provider roles and their weights.',
+                        type: 1
+                    }
+                ]
+            },
+            {
+                name: 'webhooks',
+                description: 'Send balance changes to other services as signed HTTP requests.',
+                type: 2,
+                options: [
+                    {
+                        name: 'add',
+                        description: 'Add a webhook URL (the signing secret is shown once).',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'url',
+                                description: 'http:// or https:// URL that receives the POST requests',
+                                type: 3,
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'remove',
+                        description: 'Stop sending events to a webhook.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'id',
+                                description: 'Webhook ID from /vouchconfig webhooks list',
+                                type: 4,
+                                required: true,
+                                min_value: 1
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        description: 'Show the webhooks and their last delivery.',
+                        type: 1
+                    },
+                    {
+                        name: 'test',
+                        description: 'Send a signed ping event to a webhook.',
+                        type: 1,
+                        options: [
+                            {
+                                name: 'id',
+                                description: 'Webhook ID from /vouchconfig webhooks list',
+                                type: 4,
+                                required: true,
+                                min_value: 1
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'modlog',
+                description: 'Set or clear the channel that receives moderation notices.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Channel for moderation notices (leave empty to disable)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
+            },
+            {
+                name: 'pending',
+                description: 'View or change how pending vouches are approved and when they expire.',
+                type: 1,
+                options: [
+                    {
+                        name: 'approval_mode',
+                        description: 'Who approves pending vouches',
+                        type: 3,
+                        required: false,
+                        choices: [
+                            { name: 'Providers claim their own vouches', value: 'provider' },
+                            { name: 'Moderators assign vouches to providers', value: 'admin' }
+                        ]
+                    },
+                    {
+                        name: 'expiry_hours',
+                        description: 'Hours before an unclaimed pending vouch expires (0 = never)',
+                        type: 4,
+                        required: false,
+                        min_value: 0
+                    }
+                ]
+            },
+            {
+                name: 'disputes',
+                description: 'Set or clear the channel where reports against providers are queued.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Channel for the dispute queue (leave empty to use the mod log)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
+            },
+            {
+                name: 'multiprovider',
+                description: 'View or change how vouches that mention several providers are credited.',
+                type: 1,
+                options: [
+                    {
+                        name: 'mode',
+                        description: 'How points are shared when one vouch mentions several providers',
+                        type: 3,
+                        required: false,
+                        choices: Object.entries(MULTI_PROVIDER_MODES).map(([value, name]) => ({ name, value }))
+                    }
+                ]
+            },
+            {
+                name: 'notifications',
+                description: 'View or change how the bot answers vouches and when daily digests go out.',
+                type: 1,
+                options: [
+                    {
+                        name: 'reply_style',
+                        description: 'How the bot answers counted and rejected vouches in the channel',
+                        type: 3,
+                        required: false,
+                        choices: Object.entries(REPLY_STYLES).map(([value, name]) => ({ name, value }))
+                    },
+                    {
+                        name: 'delete_after_minutes',
+                        description: 'Minutes before self-deleting replies are removed',
+                        type: 4,
+                        required: false,
+                        min_value: 1,
+                        max_value: 1440
+                    },
+                    {
+                        name: 'digest_hour',
+                        description: 'Hour (UTC, 0-23) when daily DM digests are sent',
+                        type: 4,
+                        required: false,
+                        min_value: 0,
+                        max_value: 23
+                    }
+                ]
+            },
+            {
+                name: 'rules',
+                description: 'View or change the anti-abuse rules checked before a vouch counts.',
+                type: 1,
+                options: [
+                    {
+                        name: 'self_vouch',
+                        description: 'Block providers from vouching for themselves',
+                        type: 5,
+                        required: false
+                    },
+                    {
+                        name: 'cooldown_minutes',
+                        description: 'Minutes before the same voucher can vouch for the same provider again (0 = off)',
+                        type: 4,
+                        required: false,
+                        min_value: 0
+                    },
+                    {
+                        name: 'min_account_age_days',
+                        description: 'Minimum Discord account age for vouchers in days (0 = off)',
+                        type: 4,
+                        required: false,
+                        min_value: 0
+                    },
+                    {
+                        name: 'min_member_age_days',
+                        description: 'Minimum days a voucher must have been in the server (0 = off)',
+                        type: 4,
+                        required: false,
+                        min_value: 0
+                    },
+                    {
+                        name: 'duplicate_images',
+                        description: 'Reject images that were already used in another vouch',
+                        type: 5,
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'leaderboard',
+                description: 'Set or clear the channel that keeps a pinned, auto-updating leaderboard.',
+                type: 1,
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Channel for the pinned leaderboard (leave empty to disable)',
+                        type: 7,
+                        required: false,
+                        channel_types: [0, 5]
+                    }
+                ]
             }
         ]
-    },
-    {
-        name: 'multiplierstatus',
-        description: 'Show the current global vouch multiplier.',
-        dm_permission: false
-    },
-    {
-        name: 'resetmultiplier',
-        description: 'Admin: Reset the vouch multiplier back to 1x.',
-        default_member_permissions: PermissionFlagsBits.Administrator.toString(),
-        dm_permission: false
     }
 ];
 
+const HISTORY_PAGE_SIZE = 10;
+
 async function registerGuildCommands(guild) {
     if (!client.user || !guild) return;
     const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
@@ -537,8 +6594,47 @@ async function registerGuildCommands(guild) {
     }
 }
 
+// The guild that owns bot-wide data: HOME_GUILD_ID, or the only guild the bot is in.
+function getHomeGuildId() {
+    if (process.env.HOME_GUILD_ID) return process.env.HOME_GUILD_ID;
+    if (client.guilds.cache.size === 1) return client.guilds.cache.first().id;
+    return null;
+}
+
+async function migrateLegacyDataOnStartup() {
+    if (!(await hasLegacyGlobalData())) return;
+
+    const homeGuildId = getHomeGuildId();
+    if (!homeGuildId) {
+        console.warn('Found global vouch data from before per-guild balances. Set HOME_GUILD_ID to choose which guild receives it.');
+        return;
+    }
+
+    await migrateLegacyDataToGuild(homeGuildId);
+    console.log(`Migrated global vouch points and settings into guild ${homeGuildId}.`);
+}
+
+const PENDING_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+const MULTIPLIER_EVENT_INTERVAL_MS = 60 * 1000;
+const BACKUP_CHECK_INTERVAL_MS = 60 * 1000;
+
 client.once(Events.ClientReady, async () => {
     console.log(`Logged in as ${client.user.tag}`);
+    try {
+        await migrateLegacyDataOnStartup();
+    } catch (error) {
+        console.error('Failed to migrate global vouch data into the home guild:', error);
+    }
+    expirePendingVouches();
+    setInterval(expirePendingVouches, PENDING_EXPIRY_INTERVAL_MS);
+    processMultiplierEvents();
+    setInterval(processMultiplierEvents, MULTIPLIER_EVENT_INTERVAL_MS);
+    runScheduledBackup();
+    setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+    sendDueDigests();
+    setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL_MS);
+    expireShopRoles();
+    setInterval(expireShopRoles, SHOP_EXPIRY_INTERVAL_MS);
     try {
         const guilds = await client.guilds.fetch();
         for (const guildData of guilds.values()) {
@@ -555,25 +6651,800 @@ client.on('guildCreate', async (guild) => {
     await registerGuildCommands(guild);
 });
 
+const VOUCH_CHANNEL_KIND_LABELS = {
+    channel: 'Channels',
+    category: 'Categories',
+    thread: 'Threads'
+};
+
+async function handleVouchChannelsConfig(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'add': {
+            const channel = interaction.options.getChannel('channel', true);
+            const kind = getVouchChannelKind(channel);
+            await addVouchChannel(guildId, channel.id, kind, interaction.user.id);
+            invalidateVouchChannelConfig(guildId);
+            const forumNote = channel.type === ChannelType.GuildForum ? ' Each new forum post will count as one vouch.' : '';
+            await interaction.reply({ content: `Vouches in ${channel} (${kind}) will now be tracked.${forumNote}`, ephemeral: true });
+            await auditConfigChange(interaction, `Vouch channel ${channel}`, 'not tracked', `tracked (${kind})`);
+            return;
+        }
+        case 'remove': {
+            const channel = interaction.options.getChannel('channel', true);
+            const removed = await removeVouchChannel(guildId, channel.id);
+            invalidateVouchChannelConfig(guildId);
+            await interaction.reply({
+                content: removed ? `${channel} is no longer a vouch channel.` : `${channel} was not on the vouch channel list.`,
+                ephemeral: true
+            });
+            if (removed) await auditConfigChange(interaction, `Vouch channel ${channel}`, 'tracked', 'not tracked');
+            return;
+        }
+        case 'list': {
+            const entries = await listVouchChannels(guildId);
+            const config = await getVouchChannelConfig(guildId);
+            const embed = new EmbedBuilder()
+                .setColor(0x3498db)
+                .setTitle('Vouch channels')
+                .setDescription(entries.length ? null : '_No channels configured yet. Add one with `/vouchconfig channels add`._')
+                .setFooter({ text: `"vouch" name fallback: ${config.nameFallback ? 'on' : 'off'}` })
+                .setTimestamp();
+            for (const kind of Object.keys(VOUCH_CHANNEL_KIND_LABELS)) {
+                const matching = entries.filter((entry) => entry.kind === kind);
+                if (matching.length === 0) continue;
+                embed.addFields({
+                    name: VOUCH_CHANNEL_KIND_LABELS[kind],
+                    value: matching.map((entry) => `<#${entry.channel_id}>`).join('\n')
+                });
+            }
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'fallback': {
+            const enabled = interaction.options.getBoolean('enabled', true);
+            const before = (await getVouchChannelConfig(guildId)).nameFallback ? 'on' : 'off';
+            await setSetting(guildId, 'vouch_name_fallback', enabled ? 'on' : 'off');
+            await auditConfigChange(interaction, '"vouch" name fallback', before, enabled ? 'on' : 'off');
+            invalidateVouchChannelConfig(guildId);
+            await interaction.reply({
+                content: enabled
+                    ? 'Channels with "vouch" in their name or category name will also count as vouch channels.'
+                    : 'Only the configured vouch channels will be tracked.',
+                ephemeral: true
+            });
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown channel option.', ephemeral: true });
+    }
+}
+
+async function handleProviderRolesConfig(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'add': {
+            const role = interaction.options.getRole('role', true);
+            const weight = interaction.options.getInteger('weight') || 1;
+            const previous = (await listProviderRoles(guildId)).find((entry) => entry.role_id === role.id);
+            await addProviderRole(guildId, role.id, weight, interaction.user.id);
+            invalidateProviderRoles(guildId);
+            await auditConfigChange(interaction, `Provider role ${role}`, previous ? `weight ${previous.weight}` : 'not a provider role', `weight ${weight}`);
+            await interaction.reply({
+                content: `${role} is now a provider role worth ${formatPoints(weight)} per vouch before the multiplier.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+        case 'remove': {
+            const role = interaction.options.getRole('role', true);
+            const previous = (await listProviderRoles(guildId)).find((entry) => entry.role_id === role.id);
+            const removed = await removeProviderRole(guildId, role.id);
+            invalidateProviderRoles(guildId);
+            if (removed) await auditConfigChange(interaction, `Provider role ${role}`, `weight ${previous?.weight ?? 1}`, 'not a provider role');
+            await interaction.reply({
+                content: removed ? `${role} is no longer a provider role.` : `${role} was not a configured provider role.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+        case 'list': {
+            const roles = await resolveProviderRoles(interaction.guild);
+            const lines = roles.map((role) => {
+                const source = role.source === 'env' ? ' _(default from PROVIDER_ROLE_ID / PROVIDER_ROLE_NAME)_' : '';
+                return `<@&${role.id}> — ${formatPoints(role.weight)} per vouch${source}`;
+            });
+            const embed = new EmbedBuilder()
+                .setColor(0x3498db)
+                .setTitle('Provider roles')
+                .setDescription(lines.length ? lines.join('\n') : '_No provider roles configured. Add one with `/vouchconfig providerroles add`._')
+                .setFooter({ text: 'Members with several provider roles earn the highest weight.' })
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown provider role option.', ephemeral: true });
+    }
+}
+
+async function handleVouchConfigCommand(interaction) {
+    const group = interaction.options.getSubcommandGroup(false);
+    if (group === 'channels') {
+        await handleVouchChannelsConfig(interaction);
+        return;
+    }
+    if (group === 'providerroles') {
+        await handleProviderRolesConfig(interaction);
+        return;
+    }
+    if (group === 'webhooks') {
+        await handleWebhooksConfig(interaction);
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'modlog': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'mod_log_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'mod_log_channel_id');
+                await interaction.reply({ content: 'Mod log disabled.', ephemeral: true });
+                await auditConfigChange(interaction, 'Mod log channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'mod_log_channel_id', channel.id);
+            await interaction.reply({ content: `Moderation notices will be posted in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Mod log channel', before, `${channel}`);
+            return;
+        }
+        case 'disputes': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'dispute_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'dispute_channel_id');
+                await interaction.reply({ content: 'Disputes will be queued in the mod log channel.', ephemeral: true });
+                await auditConfigChange(interaction, 'Dispute channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'dispute_channel_id', channel.id);
+            await interaction.reply({ content: `Reports against providers will be queued in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Dispute channel', before, `${channel}`);
+            return;
+        }
+        case 'pending': {
+            const mode = interaction.options.getString('approval_mode');
+            const expiryHours = interaction.options.getInteger('expiry_hours');
+            if (mode) {
+                const before = await getSetting(guildId, 'approval_mode', 'provider');
+                await setSetting(guildId, 'approval_mode', mode);
+                await auditConfigChange(interaction, 'Pending approval mode', before, mode);
+            }
+            if (expiryHours !== null) {
+                const before = await getPendingExpiryHours(guildId);
+                await setSetting(guildId, 'pending_expiry_hours', String(expiryHours));
+                await auditConfigChange(interaction, 'Pending expiry (hours)', String(before || 'never'), String(expiryHours || 'never'));
+            }
+
+            const currentMode = await getSetting(guildId, 'approval_mode', 'provider');
+            const currentExpiry = await getPendingExpiryHours(guildId);
+            await interaction.reply({
+                content: [
+                    `Approval mode: **${currentMode === 'admin' ? 'moderators assign vouches with /assignvouch' : 'providers claim vouches with /approvevouch'}**`,
+                    `Expiry: **${currentExpiry ? `after ${currentExpiry} hours` : 'never'}**`
+                ].join('\n'),
+                ephemeral: true
+            });
+            return;
+        }
+        case 'multiprovider': {
+            const mode = interaction.options.getString('mode');
+            const before = await getSetting(guildId, 'multi_provider_mode', 'full');
+            if (mode) {
+                await setSetting(guildId, 'multi_provider_mode', mode);
+                await auditConfigChange(interaction, 'Multi-provider vouches', MULTI_PROVIDER_MODES[before], MULTI_PROVIDER_MODES[mode]);
+            }
+            await interaction.reply({
+                content: `Vouches that mention several providers: **${MULTI_PROVIDER_MODES[mode || before] || MULTI_PROVIDER_MODES.full}**.`,
+                ephemeral: true
+            });
+            return;
+        }
+        case 'notifications': {
+            const style = interaction.options.getString('reply_style');
+            const deleteAfter = interaction.options.getInteger('delete_after_minutes');
+            const digestHour = interaction.options.getInteger('digest_hour');
+            const previous = await getReplyStyle(guildId);
+            if (style) {
+                await setSetting(guildId, 'reply_style', style);
+                await auditConfigChange(interaction, 'Vouch reply style', REPLY_STYLES[previous.style], REPLY_STYLES[style]);
+            }
+            if (deleteAfter !== null) {
+                await setSetting(guildId, 'reply_delete_minutes', String(deleteAfter));
+                await auditConfigChange(interaction, 'Reply deletion delay (minutes)', String(previous.deleteAfterMinutes), String(deleteAfter));
+            }
+            if (digestHour !== null) {
+                const before = await getDigestHour(guildId);
+                await setSetting(guildId, 'digest_hour_utc', String(digestHour));
+                await auditConfigChange(interaction, 'Digest hour (UTC)', String(before), String(digestHour));
+            }
+
+            const current = await getReplyStyle(guildId);
+            const currentDigestHour = await getDigestHour(guildId);
+            await interaction.reply({
+                content: [
+                    `Reply style: **${REPLY_STYLES[current.style]}**${current.style === 'autodelete' ? ` (after ${current.deleteAfterMinutes} minutes)` : ''}`,
+                    `Daily digests: **${String(currentDigestHour).padStart(2, '0')}:00 UTC**`
+                ].join('\n'),
+                ephemeral: true
+            });
+            return;
+        }
+        case 'rules': {
+            const updates = {
+                self_vouch: interaction.options.getBoolean('self_vouch'),
+                cooldown: interaction.options.getInteger('cooldown_minutes'),
+                account_age: interaction.options.getInteger('min_account_age_days'),
+                member_age: interaction.options.getInteger('min_member_age_days'),
+                duplicate_image: interaction.options.getBoolean('duplicate_images')
+            };
+            const previous = await getVouchRuleConfig(guildId);
+            for (const rule of VOUCH_RULES) {
+                const value = updates[rule.id];
+                if (value === null || value === undefined) continue;
+                const stored = typeof value === 'boolean' ? (value ? 'on' : 'off') : String(value);
+                await setSetting(guildId, rule.settingKey, stored);
+                await auditConfigChange(interaction, `Rule: ${rule.label}`, String(previous[rule.id]), stored);
+            }
+
+            const config = await getVouchRuleConfig(guildId);
+            const embed = new EmbedBuilder()
+                .setColor(0x3498db)
+                .setTitle('Anti-abuse rules')
+                .addFields(
+                    { name: 'Self-vouch blocking', value: config.self_vouch === 'on' ? 'On' : 'Off', inline: true },
+                    { name: 'Cooldown', value: Number(config.cooldown) > 0 ? `${config.cooldown} minutes` : 'Off', inline: true },
+                    { name: 'Minimum account age', value: Number(config.account_age) > 0 ? `${config.account_age} days` : 'Off', inline: true },
+                    { name: 'Minimum membership', value: Number(config.member_age) > 0 ? `${config.member_age} days` : 'Off', inline: true },
+                    { name: 'Duplicate images', value: config.duplicate_image === 'on' ? 'Rejected' : 'Allowed', inline: true }
+                )
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'leaderboard': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'leaderboard_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'leaderboard_channel_id');
+                await deleteSetting(guildId, 'leaderboard_message_id');
+                await interaction.reply({ content: 'Pinned leaderboard disabled.', ephemeral: true });
+                await auditConfigChange(interaction, 'Pinned leaderboard channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'leaderboard_channel_id', channel.id);
+            await deleteSetting(guildId, 'leaderboard_message_id');
+            await interaction.reply({ content: `The pinned leaderboard will be kept in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Pinned leaderboard channel', before, `${channel}`);
+            scheduleLeaderboardRefresh(guildId, 0);
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown configuration option.', ephemeral: true });
+    }
+}
+
+const MAX_MULTIPLIER_EVENT_MS = 30 * DAY_MS;
+
+async function handleMultiplierEventCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'start': {
+            const value = interaction.options.getInteger('value', true);
+            const durationMs = parseDuration(interaction.options.getString('duration', true));
+            if (!durationMs || durationMs > MAX_MULTIPLIER_EVENT_MS) {
+                await interaction.reply({ content: 'Duration must look like `90m`, `48h` or `2d` and be at most 30 days.', ephemeral: true });
+                return;
+            }
+            const startsAt = parseStartTime(interaction.options.getString('starts_at'));
+            if (!startsAt) {
+                await interaction.reply({ content: 'Could not understand `starts_at`. Use a delay like `2h`, a unix timestamp or a date like `2024-06-01 18:00` (UTC).', ephemeral: true });
+                return;
+            }
+            const endsAt = new Date(startsAt.getTime() + durationMs);
+            if (endsAt <= new Date()) {
+                await interaction.reply({ content: 'That event would already be over.', ephemeral: true });
+                return;
+            }
+
+            const id = await createMultiplierEvent({
+                guildId,
+                name: interaction.options.getString('name'),
+                value,
+                startsAt,
+                endsAt,
+                createdBy: interaction.user.id
+            });
+            await processMultiplierEvents();
+
+            const event = await getMultiplierEventById(guildId, id);
+            await interaction.reply({ content: `Scheduled ${describeMultiplierEvent(event)}.` });
+            await recordAuditEvent(guildId, {
+                action: 'multiplier_event_scheduled',
+                actorId: interaction.user.id,
+                subject: event.name || `Event #${event.id}`,
+                amount: event.value,
+                details: describeMultiplierEvent(event)
+            });
+            return;
+        }
+        case 'cancel': {
+            const event = await getMultiplierEventById(guildId, interaction.options.getInteger('id', true));
+            if (!event) {
+                await interaction.reply({ content: 'No multiplier event was found with that ID.', ephemeral: true });
+                return;
+            }
+            // The status only flips to 'active' on the next scheduler tick, so
+            // an event counts as running as soon as its start time has passed.
+            const wasActive = toUnixSeconds(event.starts_at) * 1000 <= Date.now();
+            if (!(await setMultiplierEventStatus(event.id, 'cancelled', ['scheduled', 'active']))) {
+                await interaction.reply({ content: `That event has already ${event.status === 'cancelled' ? 'been cancelled' : 'ended'}.`, ephemeral: true });
+                return;
+            }
+            if (wasActive) {
+                await announceMultiplierEvent(event, 'cancel');
+            }
+            await interaction.reply({ content: `Cancelled ${describeMultiplierEvent(event)}.` });
+            await recordAuditEvent(guildId, {
+                action: 'multiplier_event_cancelled',
+                actorId: interaction.user.id,
+                subject: event.name || `Event #${event.id}`,
+                amount: event.value,
+                details: `${describeMultiplierEvent(event)}${wasActive ? ' (was running)' : ''}`
+            });
+            return;
+        }
+        case 'channel': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'multiplier_announce_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'multiplier_announce_channel_id');
+                await interaction.reply({ content: 'Multiplier event announcements disabled.', ephemeral: true });
+                await auditConfigChange(interaction, 'Multiplier announcement channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'multiplier_announce_channel_id', channel.id);
+            await interaction.reply({ content: `Multiplier events will be announced in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Multiplier announcement channel', before, `${channel}`);
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown multiplier event option.', ephemeral: true });
+    }
+}
+
+async function handleRewardTiersCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'add': {
+            const role = interaction.options.getRole('role', true);
+            const threshold = interaction.options.getInteger('threshold', true);
+            const message = interaction.options.getString('message');
+            if (role.managed || role.id === guildId) {
+                await interaction.reply({ content: 'That role cannot be granted by the bot.', ephemeral: true });
+                return;
+            }
+            const previous = (await listRewardTiers(guildId)).find((tier) => tier.role_id === role.id);
+            await upsertRewardTier(guildId, role.id, threshold, message, interaction.user.id);
+            await auditConfigChange(
+                interaction,
+                `Reward role ${role}`,
+                previous ? formatPoints(previous.threshold) : 'not a reward role',
+                formatPoints(threshold),
+                message ? `Announcement: ${message}` : null
+            );
+            await interaction.reply({
+                content: `${role} will be granted at ${formatPoints(threshold)}. Run \`/syncroles\` to apply it to existing members.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+        case 'remove': {
+            const role = interaction.options.getRole('role', true);
+            const previous = (await listRewardTiers(guildId)).find((tier) => tier.role_id === role.id);
+            const removed = await removeRewardTier(guildId, role.id);
+            if (removed) await auditConfigChange(interaction, `Reward role ${role}`, formatPoints(previous.threshold), 'not a reward role');
+            await interaction.reply({
+                content: removed
+                    ? `${role} is no longer a reward role. Members keep it until it is removed by hand.`
+                    : `${role} was not a reward role.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+        case 'list': {
+            const tiers = await listRewardTiers(guildId);
+            const channelId = await getSetting(guildId, 'reward_announce_channel_id');
+            const lines = tiers.map((tier) => `<@&${tier.role_id}> — ${formatPoints(tier.threshold)}${tier.message ? ' 📣' : ''}`);
+            const embed = new EmbedBuilder()
+                .setColor(0x9b59b6)
+                .setTitle('Reward tiers')
+                .setDescription(lines.length ? lines.join('\n') : '_No reward tiers configured. Add one with `/rewardtiers add`._')
+                .addFields({ name: 'Announcements', value: channelId ? `<#${channelId}>` : '_Disabled_' })
+                .setFooter({ text: '📣 = posts an announcement when reached' })
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'channel': {
+            const channel = interaction.options.getChannel('channel');
+            const before = channelMentionOrNone(await getSetting(guildId, 'reward_announce_channel_id'));
+            if (!channel) {
+                await deleteSetting(guildId, 'reward_announce_channel_id');
+                await interaction.reply({ content: 'Reward announcements disabled.', ephemeral: true });
+                await auditConfigChange(interaction, 'Reward announcement channel', before, null);
+                return;
+            }
+            await setSetting(guildId, 'reward_announce_channel_id', channel.id);
+            await interaction.reply({ content: `Reward tiers will be announced in ${channel}.`, ephemeral: true });
+            await auditConfigChange(interaction, 'Reward announcement channel', before, `${channel}`);
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown reward tier option.', ephemeral: true });
+    }
+}
+
+async function handleVouchOverrideCommand(interaction) {
+    const rejectionId = interaction.options.getInteger('id');
+
+    if (!rejectionId) {
+        const rejected = await listRejectedVouches(interaction.guildId, 10);
+        if (rejected.length === 0) {
+            await interaction.reply({ content: 'There are no rejected vouches waiting for review.', ephemeral: true });
+            return;
+        }
+        const embed = new EmbedBuilder()
+            .setColor(0xe67e22)
+            .setTitle('Recently rejected vouches')
+            .setDescription(
+                rejected
+                    .map((entry) => {
+                        const link = entry.message_id
+                            ? ` • [message](https://discord.com/channels/${interaction.guildId}/${entry.channel_id}/${entry.message_id})`
+                            : '';
+                        return `\`#${entry.id}\` <@${entry.voucher_id}> → ${entry.provider_id ? `<@${entry.provider_id}>` : '_no provider_'} • ${describeVouchRule(entry.rule_id)}${link}`;
+                    })
+                    .join('\n')
+            )
+            .setFooter({ text: 'Use /vouchoverride id:<id> to count one anyway.' })
+            .setTimestamp();
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+    }
+
+    const rejected = await getRejectedVouchById(interaction.guildId, rejectionId);
+    if (!rejected) {
+        await interaction.reply({ content: 'No rejected vouch was found with that ID.', ephemeral: true });
+        return;
+    }
+    const providerMember = rejected.provider_id
+        ? await interaction.guild.members.fetch(rejected.provider_id).catch(() => null)
+        : null;
+    const weight = (await getProviderWeight(providerMember)) || 1;
+
+    // The override and whatever it awards or creates commit together, so a
+    // failed award leaves the rejection open for another attempt.
+    const result = await withTransaction(async () => {
+        if (!(await markRejectedVouchOverridden(rejected.id, interaction.user.id))) {
+            return { error: 'That rejection has already been overridden.' };
+        }
+        if (rejected.pending_id) {
+            const pending = await getPendingVouchById(interaction.guildId, rejected.pending_id);
+            if (!pending) return { kind: 'stale' };
+            const award = await claimPendingVouch(interaction.guildId, pending, {
+                id: rejected.provider_id,
+                tag: providerMember ? getSafeUserTag(providerMember.user) : null,
+                name: providerMember?.displayName || null,
+                weight
+            }, interaction.user.id);
+            if (award.error) return { kind: 'stale' };
+            return { kind: 'approved', pending, ...award };
+        }
+        if (rejected.provider_id) {
+            const award = await awardVouch(interaction.guildId, {
+                channelId: rejected.channel_id,
+                messageId: rejected.message_id,
+                voucherId: rejected.voucher_id,
+                providerId: rejected.provider_id,
+                providerName: providerMember?.displayName || null,
+                weight,
+                actorId: interaction.user.id,
+                attachments: rejected.attachments,
+                content: rejected.message_content
+            });
+            return { kind: 'awarded', ...award };
+        }
+        const pendingId = await createPendingVouch({
+            guildId: interaction.guildId,
+            channelId: rejected.channel_id,
+            messageId: rejected.message_id,
+            voucherId: rejected.voucher_id,
+            voucherTag: rejected.voucher_tag,
+            messageContent: rejected.message_content,
+            attachments: rejected.attachments
+        });
+        return { kind: 'pending', pendingId };
+    });
+    if (result.error) {
+        await interaction.reply({ content: result.error, ephemeral: true });
+        return;
+    }
+
+    let outcome;
+    if (result.kind === 'stale') {
+        outcome = `Pending vouch #${rejected.pending_id} was already resolved or no longer exists, so no points were awarded.`;
+    } else if (result.kind === 'approved') {
+        await updatePendingVouchNotice(interaction.guild, result.pending.id);
+        outcome = `Approved pending vouch #${result.pending.id} for <@${rejected.provider_id}>: ${formatPoints(result.awarded)} awarded, new total ${formatPoints(result.total)}.`;
+    } else if (result.kind === 'awarded') {
+        outcome = `Awarded ${formatPoints(result.awarded)} to <@${rejected.provider_id}>. New total: ${formatPoints(result.total)}.`;
+    } else {
+        const channel = await interaction.guild.channels.fetch(rejected.channel_id).catch(() => null);
+        const original = channel?.isTextBased() ? await channel.messages.fetch(rejected.message_id).catch(() => null) : null;
+        if (original) {
+            await postPendingVouchNotice(original, result.pendingId, rejected.attachments);
+        }
+        outcome = `Created pending vouch #${result.pendingId}; the provider can now claim it with \`/approvevouch\`.`;
+    }
+
+    await interaction.reply({ content: `Override applied to rejection #${rejected.id}. ${outcome}`, ephemeral: true });
+
+    // Like a vouch that passed the rules, the counted images now block reposts.
+    if (result.kind !== 'stale' && rejected.message_id && rejected.attachments.length) {
+        const config = await getVouchRuleConfig(interaction.guildId);
+        if (config.duplicate_image === 'on') {
+            const imageHashes = await hashAttachments(rejected.attachments);
+            await recordImageHashes(interaction.guildId, rejected.channel_id, rejected.message_id, imageHashes);
+        }
+    }
+
+    await recordAuditEvent(interaction.guildId, {
+        action: 'vouch_overridden',
+        actorId: interaction.user.id,
+        targetId: rejected.provider_id || rejected.voucher_id,
+        amount: result.awarded ?? null,
+        before: result.before ?? null,
+        after: result.total ?? null,
+        details: `Rejection #${rejected.id} (${describeVouchRule(rejected.rule_id)}): ${outcome}`,
+        channelId: rejected.channel_id,
+        messageId: rejected.message_id
+    });
+}
+
+async function handlePendingVouchComponent(interaction) {
+    const [, action, rawId] = interaction.customId.split(':');
+    const pendingId = Number(rawId);
+    const pending = Number.isInteger(pendingId) ? await getPendingVouchById(interaction.guildId, pendingId) : null;
+    if (!pending) {
+        await interaction.reply({ content: 'That pending vouch no longer exists.', ephemeral: true });
+        return;
+    }
+    const isModerator = interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages);
+
+    switch (action) {
+        case 'approve': {
+            if (await getSetting(interaction.guildId, 'approval_mode', 'provider') === 'admin') {
+                await interaction.reply({ content: 'Pending vouches in this server are assigned by moderators.', ephemeral: true });
+                return;
+            }
+            const member = interaction.member || await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
+            if (!(await isProviderMember(member))) {
+                await interaction.reply({ content: 'Only members with the Provider role can claim pending vouches.', ephemeral: true });
+                return;
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const result = await approvePendingVouch(interaction.guild, pending, member, interaction.user);
+            if (result.error) {
+                await interaction.editReply({ content: result.error });
+                return;
+            }
+            const embed = buildApprovedVouchEmbed(pending, result, `You were awarded ${formatPoints(result.awarded)}.`);
+            await interaction.editReply({ embeds: [embed] });
+            await notifyProviderOfApproval(interaction.guild, pending, interaction.user, result);
+            return;
+        }
+        case 'reject': {
+            if (!isModerator) {
+                await interaction.reply({ content: 'You need the Manage Messages permission to reject vouches.', ephemeral: true });
+                return;
+            }
+            const modal = new ModalBuilder()
+                .setCustomId(`${PENDING_COMPONENT_PREFIX}:rejectreason:${pending.id}`)
+                .setTitle(`Reject pending vouch #${pending.id}`)
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('reason')
+                            .setLabel('Reason (sent to the voucher)')
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setRequired(true)
+                            .setMaxLength(500)
+                    )
+                );
+            await interaction.showModal(modal);
+            return;
+        }
+        case 'rejectreason': {
+            if (!isModerator) {
+                await interaction.reply({ content: 'You need the Manage Messages permission to reject vouches.', ephemeral: true });
+                return;
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const reason = interaction.fields.getTextInputValue('reason');
+            const result = await rejectPendingVouch(interaction.guild, pending, interaction.user, reason);
+            await interaction.editReply({
+                content: result.error || `Rejected pending vouch #${pending.id}. The voucher has been notified.`
+            });
+            return;
+        }
+        case 'assign': {
+            if (!isModerator) {
+                await interaction.reply({ content: 'You need the Manage Messages permission to assign vouches.', ephemeral: true });
+                return;
+            }
+            await interaction.reply({
+                content: `Who should receive pending vouch #${pending.id}?`,
+                components: buildProviderSelectComponents(pending.id),
+                ephemeral: true
+            });
+            return;
+        }
+        case 'assignto': {
+            if (!isModerator) {
+                await interaction.reply({ content: 'You need the Manage Messages permission to assign vouches.', ephemeral: true });
+                return;
+            }
+            const providerId = interaction.values[0];
+            const providerMember = await interaction.guild.members.fetch(providerId).catch(() => null);
+            if (!(await isProviderMember(providerMember))) {
+                await interaction.update({ content: `<@${providerId}> does not have the Provider role. Pick someone else.` });
+                return;
+            }
+            await interaction.deferUpdate();
+            const result = await approvePendingVouch(interaction.guild, pending, providerMember, interaction.user);
+            if (result.error) {
+                await interaction.editReply({ content: result.error, components: [] });
+                return;
+            }
+            await interaction.editReply({
+                content: `Assigned pending vouch #${pending.id} to ${providerMember}: ${formatPoints(result.awarded)} awarded.`,
+                components: []
+            });
+            await notifyProviderOfApproval(interaction.guild, pending, providerMember.user, result, interaction.user);
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown action.', ephemeral: true });
+    }
+}
+
+async function handleComponentInteraction(interaction) {
+    try {
+        if (interaction.customId.startsWith(`${PENDING_COMPONENT_PREFIX}:`)) {
+            await handlePendingVouchComponent(interaction);
+        } else if (interaction.customId.startsWith(`${RATING_COMPONENT_PREFIX}:`)) {
+            await handleRatingComponent(interaction);
+        } else if (interaction.customId.startsWith(`${IMPORT_COMPONENT_PREFIX}:`)) {
+            await handleImportComponent(interaction);
+        } else if (interaction.customId.startsWith(`${BACKUP_COMPONENT_PREFIX}:`)) {
+            await handleBackupComponent(interaction);
+        } else if (interaction.customId.startsWith(`${DISPUTE_COMPONENT_PREFIX}:`)) {
+            await handleDisputeComponent(interaction);
+        } else if (interaction.customId.startsWith(`${SHOP_COMPONENT_PREFIX}:`)) {
+            await handleShopComponent(interaction);
+        }
+    } catch (error) {
+        console.error(`Component handler error for ${interaction.customId}:`, error);
+        if (interaction.deferred || interaction.replied) {
+            await interaction.followUp({ content: 'An error occurred while processing that action.', ephemeral: true }).catch(() => {});
+        } else {
+            await interaction.reply({ content: 'An error occurred while processing that action.', ephemeral: true }).catch(() => {});
+        }
+    }
+}
+
 client.on('interactionCreate', async (interaction) => {
+    if (interaction.isButton() || interaction.isAnySelectMenu() || interaction.isModalSubmit()) {
+        if (!interaction.inGuild()) return;
+        await handleComponentInteraction(interaction);
+        return;
+    }
     if (!interaction.isChatInputCommand()) return;
 
     try {
         switch (interaction.commandName) {
             case 'vouchpoints': {
                 const user = interaction.options.getUser('user') || interaction.user;
-                const points = await getUserPoints(user.id);
+                const points = await getUserPoints(interaction.guildId, user.id);
+                const summary = await getProviderRatingSummary(interaction.guildId, user.id);
+                const rating = summary.count
+                    ? ` Average rating: ${formatStars(summary.average)} ${summary.average.toFixed(2)} (${summary.count}).`
+                    : '';
+                const disputes = describeDisputeCounts(await getDisputeCounts(interaction.guildId, user.id));
                 await interaction.reply({
-                    content: `${user} has ${formatPoints(points)}.`,
+                    content: `${user} has ${formatPoints(points)}.${rating}${disputes ? ` ${disputes}.` : ''}`,
                     ephemeral: false
                 });
                 break;
             }
+            case 'profile': {
+                const user = interaction.options.getUser('user') || interaction.user;
+                const embed = await buildProfileEmbed(interaction.guild, user);
+                await interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+                break;
+            }
+            case 'vouchsettings': {
+                await handleNotificationSettingsCommand(interaction);
+                break;
+            }
+            case 'vouchhistory': {
+                const user = interaction.options.getUser('user') || interaction.user;
+                const total = await countLedgerEntries(interaction.guildId, user.id);
+                const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+                const page = Math.min(interaction.options.getInteger('page') || 1, pageCount);
+                const entries = await listLedgerEntries(
+                    interaction.guildId,
+                    user.id,
+                    HISTORY_PAGE_SIZE,
+                    (page - 1) * HISTORY_PAGE_SIZE
+                );
+                const points = await getUserPoints(interaction.guildId, user.id);
+
+                const embed = new EmbedBuilder()
+                    .setColor(0x3498db)
+                    .setTitle(`Vouch history for ${user.username}`)
+                    .setDescription(
+                        entries.length
+                            ? entries.map((entry) => formatLedgerEntry(interaction.guildId, entry)).join('\n')
+                            : '_No point changes recorded yet._'
+                    )
+                    .addFields({ name: 'Current balance', value: formatPoints(points), inline: true })
+                    .setFooter({ text: `Page ${page} of ${pageCount} • ${total} entr${total === 1 ? 'y' : 'ies'}` })
+                    .setTimestamp();
+                const disputes = describeDisputeCounts(await getDisputeCounts(interaction.guildId, user.id));
+                if (disputes) embed.addFields({ name: 'Disputes', value: disputes, inline: true });
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                break;
+            }
+            case 'leaderboard': {
+                const period = interaction.options.getString('period') || 'all';
+                const page = interaction.options.getInteger('page') || 1;
+                const embed = await buildLeaderboardEmbed(interaction.guild, period, page);
+                await interaction.reply({ embeds: [embed] });
+                break;
+            }
             case 'approvevouch': {
                 const pendingId = interaction.options.getInteger('id');
 
                 if (!pendingId) {
-                    const pending = await listPendingVouches(5);
+                    const pending = await listPendingVouches(interaction.guildId, 5);
                     if (pending.length === 0) {
                         await interaction.reply({
                             content: 'There are no pending vouches awaiting approval right now.',
@@ -614,68 +7485,98 @@ client.on('interactionCreate', async (interaction) => {
                         embed.setImage(firstWithImage.attachments[0].url);
                     }
 
-                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                    break;
+                }
+
+                if (await getSetting(interaction.guildId, 'approval_mode', 'provider') === 'admin') {
+                    await interaction.reply({
+                        content: 'Pending vouches in this server are assigned by moderators with `/assignvouch`.',
+                        ephemeral: true
+                    });
+                    break;
+                }
+
+                const member = interaction.member || await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
+                if (!(await isProviderMember(member))) {
+                    await interaction.reply({ content: 'Only members with the Provider role can claim pending vouches.', ephemeral: true });
+                    break;
+                }
+
+                const pending = await getPendingVouchById(interaction.guildId, pendingId);
+                if (!pending) {
+                    await interaction.reply({ content: 'No pending vouch was found with that ID.', ephemeral: true });
+                    break;
+                }
+
+                const result = await approvePendingVouch(interaction.guild, pending, member, interaction.user);
+                if (result.error) {
+                    await interaction.reply({ content: result.error, ephemeral: true });
+                    break;
+                }
+
+                const embed = buildApprovedVouchEmbed(pending, result, `You were awarded ${formatPoints(result.awarded)}.`);
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                await notifyProviderOfApproval(interaction.guild, pending, interaction.user, result);
+                break;
+            }
+            case 'assignvouch': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+                    await interaction.reply({ content: 'You need the Manage Messages permission to use this command.', ephemeral: true });
+                    return;
+                }
+                const pendingId = interaction.options.getInteger('id', true);
+                const provider = interaction.options.getUser('provider', true);
+                const providerMember = await interaction.guild.members.fetch(provider.id).catch(() => null);
+                if (!(await isProviderMember(providerMember))) {
+                    await interaction.reply({ content: `${provider} does not have the Provider role.`, ephemeral: true });
                     break;
                 }
 
-                const pending = await getPendingVouchById(pendingId);
+                const pending = await getPendingVouchById(interaction.guildId, pendingId);
                 if (!pending) {
                     await interaction.reply({ content: 'No pending vouch was found with that ID.', ephemeral: true });
                     break;
                 }
-                if (pending.approved) {
-                    await interaction.reply({ content: 'That vouch has already been approved.', ephemeral: true });
+
+                const result = await approvePendingVouch(interaction.guild, pending, providerMember, interaction.user);
+                if (result.error) {
+                    await interaction.reply({ content: result.error, ephemeral: true });
                     break;
                 }
 
-                const approved = await markPendingVouchApproved(
-                    pendingId,
-                    interaction.user.id,
-                    getSafeUserTag(interaction.user)
-                );
-
-                if (!approved) {
-                    await interaction.reply({ content: 'That vouch has already been approved.', ephemeral: true });
+                const embed = buildApprovedVouchEmbed(pending, result, `${provider} was awarded ${formatPoints(result.awarded)}.`);
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                await notifyProviderOfApproval(interaction.guild, pending, provider, result, interaction.user);
+                break;
+            }
+            case 'rejectvouch': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+                    await interaction.reply({ content: 'You need the Manage Messages permission to use this command.', ephemeral: true });
+                    return;
+                }
+                const pendingId = interaction.options.getInteger('id', true);
+                const reason = interaction.options.getString('reason', true);
+                const pending = await getPendingVouchById(interaction.guildId, pendingId);
+                if (!pending) {
+                    await interaction.reply({ content: 'No pending vouch was found with that ID.', ephemeral: true });
                     break;
                 }
 
-                const multiplier = await getMultiplier();
-                const member = interaction.member || (interaction.guild ? await interaction.guild.members.fetch(interaction.user.id).catch(() => null) : null);
-                const displayName = member?.displayName || interaction.user.username;
-                const total = await changeUserBalance(interaction.user.id, displayName, multiplier);
-
-                const voucherMention = pending.voucher_id ? `<@${pending.voucher_id}>` : (pending.voucher_tag || 'Unknown user');
-                const messageLink = `https://discord.com/channels/${pending.guild_id}/${pending.channel_id}/${pending.message_id}`;
-
-                const embed = new EmbedBuilder()
-                    .setColor(0x2ecc71)
-                    .setTitle('Pending vouch approved!')
-                    .setDescription(`You were awarded ${formatPoints(multiplier)}.`)
-                    .addFields(
-                        { name: 'Voucher', value: voucherMention, inline: true },
-                        { name: 'New total', value: `${total} vouch points`, inline: true },
-                        { name: 'Original message', value: `[View message](${messageLink})` }
-                    )
-                    .setTimestamp();
-
-                if (pending.attachments[0]?.url) {
-                    embed.setImage(pending.attachments[0].url);
+                const result = await rejectPendingVouch(interaction.guild, pending, interaction.user, reason);
+                if (result.error) {
+                    await interaction.reply({ content: result.error, ephemeral: true });
+                    break;
                 }
-
-                await interaction.reply({ embeds: [embed], ephemeral: true });
-
-                const dmEmbed = new EmbedBuilder()
-                    .setColor(0x2ecc71)
-                    .setTitle('You approved a vouch!')
-                    .setDescription(`You claimed a pending vouch from ${voucherMention} in **${interaction.guild?.name || 'this server'}**.`)
-                    .addFields(
-                        { name: 'Awarded', value: `${formatPoints(multiplier)} (x${multiplier})`, inline: true },
-                        { name: 'New total', value: `${total} vouch points`, inline: true }
-                    )
-                    .setTimestamp();
-
-                await interaction.user.send({ embeds: [dmEmbed] }).catch(() => {});
-
+                await interaction.reply({ content: `Rejected pending vouch #${pending.id}. The voucher has been notified.`, ephemeral: true });
+                break;
+            }
+            case 'vouchoverride': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+                    await interaction.reply({ content: 'You need the Manage Messages permission to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchOverrideCommand(interaction);
                 break;
             }
             case 'addpoints': {
@@ -687,8 +7588,19 @@ client.on('interactionCreate', async (interaction) => {
                 const amount = interaction.options.getInteger('amount', true);
                 const member = await interaction.guild.members.fetch(user.id).catch(() => null);
                 const name = member?.displayName || user.username;
-                const total = await changeUserBalance(user.id, name, amount);
-                await interaction.reply({ content: `Added ${formatPoints(amount)} to ${user}. New total: ${formatPoints(total)}.` });
+                const change = await adjustBalance(interaction.guildId, user.id, name, amount, {
+                    reason: 'admin_add',
+                    actorId: interaction.user.id
+                });
+                await interaction.reply({ content: `Added ${formatPoints(amount)} to ${user}. New total: ${formatPoints(change.after)}.` });
+                await recordAuditEvent(interaction.guildId, {
+                    action: 'points_added',
+                    actorId: interaction.user.id,
+                    targetId: user.id,
+                    amount: change.delta,
+                    before: change.before,
+                    after: change.after
+                });
                 break;
             }
             case 'removepoints': {
@@ -700,8 +7612,19 @@ client.on('interactionCreate', async (interaction) => {
                 const amount = interaction.options.getInteger('amount', true);
                 const member = await interaction.guild.members.fetch(user.id).catch(() => null);
                 const name = member?.displayName || user.username;
-                const total = await changeUserBalance(user.id, name, -amount);
-                await interaction.reply({ content: `Removed ${formatPoints(amount)} from ${user}. New total: ${formatPoints(total)}.` });
+                const change = await adjustBalance(interaction.guildId, user.id, name, -amount, {
+                    reason: 'admin_remove',
+                    actorId: interaction.user.id
+                });
+                await interaction.reply({ content: `Removed ${formatPoints(amount)} from ${user}. New total: ${formatPoints(change.after)}.` });
+                await recordAuditEvent(interaction.guildId, {
+                    action: 'points_removed',
+                    actorId: interaction.user.id,
+                    targetId: user.id,
+                    amount: change.delta,
+                    before: change.before,
+                    after: change.after
+                });
                 break;
             }
             case 'setmultiplier': {
@@ -710,13 +7633,124 @@ client.on('interactionCreate', async (interaction) => {
                     return;
                 }
                 const value = interaction.options.getInteger('value', true);
-                const multiplier = await setMultiplier(value);
+                const before = await getBaseMultiplier(interaction.guildId);
+                const multiplier = await setMultiplier(interaction.guildId, value);
                 await interaction.reply({ content: `Multiplier updated to x${multiplier}.` });
+                await recordAuditEvent(interaction.guildId, {
+                    action: 'multiplier_changed',
+                    actorId: interaction.user.id,
+                    subject: 'Base multiplier',
+                    before,
+                    after: multiplier
+                });
                 break;
             }
             case 'multiplierstatus': {
-                const multiplier = await getMultiplier();
-                await interaction.reply({ content: `The current multiplier is x${multiplier}.` });
+                const multiplier = await getMultiplier(interaction.guildId);
+                const base = await getBaseMultiplier(interaction.guildId);
+                const active = await listActiveMultiplierEvents(interaction.guildId);
+                const upcoming = await listUpcomingMultiplierEvents(interaction.guildId, 5);
+
+                const embed = new EmbedBuilder()
+                    .setColor(0xe67e22)
+                    .setTitle(`Current multiplier: x${multiplier}`)
+                    .addFields(
+                        { name: 'Base multiplier', value: `x${base}`, inline: true },
+                        {
+                            name: 'Active events',
+                            value: active.length
+                                ? active.map((event) => `${describeMultiplierEvent(event)} • ends <t:${toUnixSeconds(event.ends_at)}:R>`).join('\n')
+                                : '_None_'
+                        },
+                        {
+                            name: 'Upcoming events',
+                            value: upcoming.length
+                                ? upcoming.map((event) => `${describeMultiplierEvent(event)} • starts <t:${toUnixSeconds(event.starts_at)}:R>`).join('\n')
+                                : '_None_'
+                        }
+                    )
+                    .setFooter({ text: 'When events overlap, the highest multiplier applies.' })
+                    .setTimestamp();
+                await interaction.reply({ embeds: [embed] });
+                break;
+            }
+            case 'multiplierevent': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleMultiplierEventCommand(interaction);
+                break;
+            }
+            case 'shop': {
+                await handleShopCommand(interaction);
+                break;
+            }
+            case 'redeem': {
+                await handleRedeemCommand(interaction);
+                break;
+            }
+            case 'shopadmin': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleShopAdminCommand(interaction);
+                break;
+            }
+            case 'rewardtiers': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleRewardTiersCommand(interaction);
+                break;
+            }
+            case 'syncroles': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await interaction.deferReply({ ephemeral: true });
+                const result = await syncAllRewardTiers(interaction.guild);
+                const failed = result.failed
+                    ? ` ${result.failed} change${result.failed === 1 ? '' : 's'} failed; check that the bot's role is above the reward roles.`
+                    : '';
+                await interaction.editReply({
+                    content: `Checked ${result.members} member${result.members === 1 ? '' : 's'}: granted ${result.granted} role${result.granted === 1 ? '' : 's'} and removed ${result.removed}.${failed}`
+                });
+                break;
+            }
+            case 'vouchbackfill': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchBackfillCommand(interaction);
+                break;
+            }
+            case 'vouchexport': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchExportCommand(interaction);
+                break;
+            }
+            case 'vouchimport': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchImportCommand(interaction);
+                break;
+            }
+            case 'vouchbackup': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchBackupCommand(interaction);
                 break;
             }
             case 'resetmultiplier': {
@@ -724,8 +7758,61 @@ client.on('interactionCreate', async (interaction) => {
                     await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
                     return;
                 }
-                await setMultiplier(1);
+                const before = await getBaseMultiplier(interaction.guildId);
+                await setMultiplier(interaction.guildId, 1);
                 await interaction.reply({ content: 'Multiplier reset to x1.' });
+                await recordAuditEvent(interaction.guildId, {
+                    action: 'multiplier_changed',
+                    actorId: interaction.user.id,
+                    subject: 'Base multiplier',
+                    before,
+                    after: 1
+                });
+                break;
+            }
+            case 'recalculate': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await interaction.deferReply({ ephemeral: true });
+                const result = await recalculateBalances(interaction.guildId);
+                const summary = `Rebuilt ${result.checked} balance${result.checked === 1 ? '' : 's'} from the ledger. ${result.corrected} ${result.corrected === 1 ? 'was' : 'were'} out of sync and corrected.`;
+                await interaction.editReply({ content: summary });
+                await recordAuditEvent(interaction.guildId, {
+                    action: 'balances_recalculated',
+                    actorId: interaction.user.id,
+                    details: summary
+                });
+                scheduleLeaderboardRefresh(interaction.guildId, 0);
+                break;
+            }
+            case 'report': {
+                await handleReportCommand(interaction);
+                break;
+            }
+            case 'disputes': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+                    await interaction.reply({ content: 'You need the Manage Messages permission to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleDisputesCommand(interaction);
+                break;
+            }
+            case 'auditlog': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleAuditLogCommand(interaction);
+                break;
+            }
+            case 'vouchconfig': {
+                if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                    await interaction.reply({ content: 'You need administrator permissions to use this command.', ephemeral: true });
+                    return;
+                }
+                await handleVouchConfigCommand(interaction);
                 break;
             }
             default:
@@ -743,7 +7830,543 @@ client.on('interactionCreate', async (interaction) => {
 
 client.on('messageCreate', handleVouchMessage);
 
-client.login(DISCORD_TOKEN).catch((error) => {
-    console.error('Failed to login to Discord:', error);
-    process.exit(1);
+async function forgetDeletedVouchChannel(channel) {
+    if (!channel.guildId) return;
+    if (await removeVouchChannel(channel.guildId, channel.id)) {
+        invalidateVouchChannelConfig(channel.guildId);
+    }
+}
+
+client.on('roleUpdate', (oldRole, newRole) => {
+    invalidateProviderRoles(newRole.guild.id);
+});
+
+client.on('roleDelete', (role) => {
+    invalidateProviderRoles(role.guild.id);
+    removeProviderRole(role.guild.id, role.id).catch((error) => {
+        console.error('Failed to remove deleted provider role:', error);
+    });
+    removeRewardTier(role.guild.id, role.id).catch((error) => {
+        console.error('Failed to remove deleted reward role:', error);
+    });
+});
+
+// Members who leave and rejoin get back the reward roles their balance earns.
+client.on('guildMemberAdd', async (member) => {
+    if (member.user.bot) return;
+    try {
+        const tiers = await listRewardTiers(member.guild.id);
+        if (tiers.length === 0) return;
+        const points = await getUserPoints(member.guild.id, member.id);
+        await applyRewardTiers(member.guild, member, points, tiers);
+    } catch (error) {
+        console.error(`Failed to restore reward roles for ${member.id}:`, error);
+    }
+});
+
+client.on('channelDelete', (channel) => {
+    forgetDeletedVouchChannel(channel).catch((error) => {
+        console.error('Failed to remove deleted vouch channel:', error);
+    });
+});
+
+client.on('threadDelete', (thread) => {
+    forgetDeletedVouchChannel(thread).catch((error) => {
+        console.error('Failed to remove deleted vouch thread:', error);
+    });
+});
+
+client.on('messageDelete', (message) => {
+    handleVouchMessageDelete(message).catch((error) => {
+        console.error('Failed to process deleted vouch message:', error);
+    });
+});
+
+client.on('messageDeleteBulk', (messages) => {
+    handleVouchMessageBulkDelete(messages).catch((error) => {
+        console.error('Failed to process bulk-deleted vouch messages:', error);
+    });
+});
+
+client.on('messageUpdate', (oldMessage, newMessage) => {
+    handleVouchMessageUpdate(oldMessage, newMessage).catch((error) => {
+        console.error('Failed to process edited vouch message:', error);
+    });
+});
+
+// Optional read-only HTTP API for websites and other bots. It only starts when
+// API_PORT is set, and every request needs `Authorization: Bearer <API_TOKEN>`.
+const apiConfig = {
+    port: process.env.API_PORT ? Number(process.env.API_PORT) : null,
+    host: process.env.API_HOST || '127.0.0.1',
+    token: process.env.API_TOKEN || null
+};
+const API_MAX_LIMIT = 100;
+
+// SQLite CURRENT_TIMESTAMP values become ISO 8601 strings for API consumers.
+function toIsoTimestamp(timestamp) {
+    const seconds = timestamp ? toUnixSeconds(timestamp) : null;
+    return seconds === null ? null : new Date(seconds * 1000).toISOString();
+}
+
+function readLimit(params, fallback) {
+    const value = Number(params.get('limit') ?? fallback);
+    return Number.isInteger(value) ? Math.max(1, Math.min(API_MAX_LIMIT, value)) : fallback;
+}
+
+async function getApiUser(guildId, userId) {
+    const standing = (await getLeaderboard(guildId, 'all')).find((entry) => entry.userId === userId);
+    const rating = await getProviderRatingSummary(guildId, userId);
+    return {
+        guild_id: guildId,
+        user_id: userId,
+        points: await getUserPoints(guildId, userId),
+        rank: standing ? standing.rank : null,
+        rating: { average: rating.average, count: rating.count },
+        disputes: await getDisputeCounts(guildId, userId)
+    };
+}
+
+async function getApiLeaderboard(guildId, params) {
+    const period = params.get('period') || 'all';
+    if (!LEADERBOARD_PERIODS[period]) {
+        return { status: 400, body: { error: `period must be one of ${Object.keys(LEADERBOARD_PERIODS).join(', ')}.` } };
+    }
+    const ranking = await getLeaderboard(guildId, period);
+    const offset = Math.max(0, Number(params.get('offset')) || 0);
+    const disputes = await getDisputeCounts(guildId);
+    return {
+        status: 200,
+        body: {
+            guild_id: guildId,
+            period,
+            total: ranking.length,
+            providers: ranking.slice(offset, offset + readLimit(params, 25)).map((entry) => ({
+                rank: entry.rank,
+                previous_rank: entry.previousRank,
+                user_id: entry.userId,
+                points: entry.points,
+                disputes: disputes.get(entry.userId) || { open: 0, upheld: 0 }
+            }))
+        }
+    };
+}
+
+async function getApiPending(guildId, params) {
+    const rows = await listPendingVouches(guildId, readLimit(params, 25));
+    return rows.map((row) => ({
+        id: row.id,
+        channel_id: row.channel_id,
+        message_id: row.message_id,
+        voucher_id: row.voucher_id,
+        voucher_tag: row.voucher_tag,
+        content: row.message_content,
+        attachments: row.attachments,
+        created_at: toIsoTimestamp(row.created_at)
+    }));
+}
+
+async function getApiAwards(guildId, params) {
+    const providerId = params.get('user');
+    const rows = await allAsync(
+        `SELECT id, channel_id, message_id, voucher_id, provider_id, points, multiplier, weight, rating, review, created_at
+         FROM vouches
+         WHERE guild_id = ? AND status = 'active' AND (? IS NULL OR provider_id = ?)
+         ORDER BY id DESC
+         LIMIT ?`,
+        [guildId, providerId, providerId, readLimit(params, 25)]
+    );
+    return rows.map((row) => ({ ...row, created_at: toIsoTimestamp(row.created_at) }));
+}
+
+// Compared in constant time so the token cannot be guessed byte by byte.
+function isAuthorizedApiRequest(request, token) {
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function routeApiRequest(request, token) {
+    if (!isAuthorizedApiRequest(request, token)) {
+        return { status: 401, body: { error: 'Missing or invalid API token.' } };
+    }
+    if (request.method !== 'GET') {
+        return { status: 405, body: { error: 'The API is read-only.' } };
+    }
+    const url = new URL(request.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'api' || parts[1] !== 'guilds' || !/^\d+$/.test(parts[2] || '')) {
+        return { status: 404, body: { error: 'Not found.' } };
+    }
+    const guildId = parts[2];
+    const resource = parts.slice(3).join('/');
+    if (/^users\/\d+$/.test(resource)) {
+        return { status: 200, body: await getApiUser(guildId, parts[4]) };
+    }
+    switch (resource) {
+        case 'leaderboard':
+            return getApiLeaderboard(guildId, url.searchParams);
+        case 'pending':
+            return { status: 200, body: { guild_id: guildId, pending: await getApiPending(guildId, url.searchParams) } };
+        case 'awards':
+            return { status: 200, body: { guild_id: guildId, awards: await getApiAwards(guildId, url.searchParams) } };
+        default:
+            return { status: 404, body: { error: 'Not found.' } };
+    }
+}
+
+/**
+ * Starts the HTTP API. Options default to API_PORT, API_HOST and API_TOKEN;
+ * pass port 0 to pick a free port. Resolves with the listening http.Server.
+ */
+function startApiServer({ port = apiConfig.port, host = apiConfig.host, token = apiConfig.token } = {}) {
+    if (!token) return Promise.reject(new Error('API_TOKEN must be set to enable the HTTP API.'));
+    const server = http.createServer((request, response) => {
+        routeApiRequest(request, token)
+            .catch((error) => {
+                console.error(`API request ${request.method} ${request.url} failed:`, error);
+                return { status: 500, body: { error: 'Internal error.' } };
+            })
+            .then(({ status, body }) => {
+                response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+                response.end(JSON.stringify(body));
+            });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+// Outgoing webhooks: every balance change is POSTed as JSON to each of the
+// guild's webhook URLs, signed with that webhook's secret (see signWebhookPayload).
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 5000];
+const WEBHOOK_CONCURRENCY = 2;
+const WEBHOOK_QUEUE_LIMIT = 1000;
+// Any server admin can add a webhook, so deliveries never go to the bot host's
+// own network unless the operator lists the host in WEBHOOK_ALLOWED_HOSTS.
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+    (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean)
+);
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+]) {
+    BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function createWebhook(guildId, url, createdBy) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return runAsync(
+        'INSERT INTO webhooks (guild_id, url, secret, created_by) VALUES (?, ?, ?, ?)',
+        [guildId, url, secret, createdBy]
+    ).then((result) => ({ id: result.lastID, url, secret }));
+}
+
+function listWebhooks(guildId) {
+    return allAsync('SELECT * FROM webhooks WHERE guild_id = ? ORDER BY id', [guildId]);
+}
+
+function deleteWebhook(guildId, id) {
+    return runAsync('DELETE FROM webhooks WHERE guild_id = ? AND id = ?', [guildId, id]).then((result) => result.changes > 0);
+}
+
+function parseWebhookUrl(raw) {
+    try {
+        const url = new URL(raw);
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch {
+        return null;
+    }
+}
+
+function isBlockedWebhookAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return BLOCKED_WEBHOOK_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_WEBHOOK_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves a webhook URL's host and refuses loopback, private, link-local and
+ * unspecified addresses. Checked when a webhook is added and again before
+ * every delivery, since a hostname can change what it resolves to. Resolves
+ * with the reason it was refused, or null when it may be called.
+ */
+async function checkWebhookAddress(rawUrl) {
+    const hostname = new URL(rawUrl).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (WEBHOOK_ALLOWED_HOSTS.has(hostname)) return null;
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+        return `${hostname} could not be resolved`;
+    }
+    if (addresses.length === 0) return `${hostname} could not be resolved`;
+    if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+        return `${hostname} is a local or private address`;
+    }
+    return null;
+}
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<body>`, sent as `X-Vouch-Signature: sha256=<hex>`
+ * next to `X-Vouch-Timestamp`. Receivers recompute it with their secret and
+ * should reject stale timestamps.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function deliverWebhook(webhook, event, data) {
+    const body = JSON.stringify({ id: crypto.randomUUID(), event, guild_id: webhook.guild_id, created_at: new Date().toISOString(), data });
+    let status = null;
+    const refusal = await checkWebhookAddress(webhook.url);
+    let lastError = refusal;
+    for (let attempt = 0; !refusal && attempt <= WEBHOOK_RETRY_DELAYS_MS.length; attempt += 1) {
+        if (attempt > 0) await new Promise((resolve) => setTimeout(resolve, WEBHOOK_RETRY_DELAYS_MS[attempt - 1]));
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ukeau-vouch-bot',
+                    'X-Vouch-Event': event,
+                    'X-Vouch-Timestamp': timestamp,
+                    'X-Vouch-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                // A redirect could point anywhere, including the addresses refused above.
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            status = response.status;
+            lastError = response.ok ? null : `HTTP ${response.status}`;
+        } catch (error) {
+            lastError = error.message;
+        }
+        // Client errors other than rate limits will not fix themselves.
+        if (!lastError || (status >= 400 && status < 500 && status !== 429)) break;
+    }
+    await runAsync(
+        'UPDATE webhooks SET last_status = ?, last_error = ?, last_delivery_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, lastError, webhook.id]
+    ).catch(() => {});
+    if (lastError) console.warn(`Webhook #${webhook.id} delivery of ${event} failed: ${lastError}`);
+    return !lastError;
+}
+
+// Webhook id -> { waiting, running }; a queue is dropped once it drains.
+const webhookQueues = new Map();
+
+/**
+ * Queues a delivery behind the webhook's earlier ones. At most
+ * WEBHOOK_CONCURRENCY deliveries per webhook are in flight, so a backfill or
+ * import cannot open hundreds of requests at once. When WEBHOOK_QUEUE_LIMIT
+ * deliveries are already waiting the oldest is dropped. Resolves with whether
+ * the delivery succeeded.
+ */
+function queueWebhookDelivery(webhook, event, data) {
+    let queue = webhookQueues.get(webhook.id);
+    if (!queue) {
+        queue = { waiting: [], running: 0 };
+        webhookQueues.set(webhook.id, queue);
+    }
+    return new Promise((resolve) => {
+        if (queue.waiting.length >= WEBHOOK_QUEUE_LIMIT) {
+            const dropped = queue.waiting.shift();
+            console.warn(`Webhook #${webhook.id} is backed up; dropped a queued ${dropped.event} delivery.`);
+            dropped.resolve(false);
+        }
+        queue.waiting.push({ webhook, event, data, resolve });
+        drainWebhookQueue(webhook.id);
+    });
+}
+
+function drainWebhookQueue(webhookId) {
+    const queue = webhookQueues.get(webhookId);
+    while (queue.running < WEBHOOK_CONCURRENCY && queue.waiting.length > 0) {
+        const job = queue.waiting.shift();
+        queue.running += 1;
+        deliverWebhook(job.webhook, job.event, job.data)
+            .catch(() => false)
+            .then((delivered) => {
+                job.resolve(delivered);
+                queue.running -= 1;
+                if (queue.running === 0 && queue.waiting.length === 0) {
+                    webhookQueues.delete(webhookId);
+                } else {
+                    drainWebhookQueue(webhookId);
+                }
+            });
+    }
+}
+
+async function dispatchWebhookEvent(guildId, event, data) {
+    const webhooks = await listWebhooks(guildId);
+    return Promise.all(webhooks.map((webhook) => queueWebhookDelivery(webhook, event, data)));
+}
+
+pointEvents.on('balanceChanged', ({ guildId, userId, before, after, delta, details }) => {
+    dispatchWebhookEvent(guildId, 'balance.changed', {
+        user_id: userId,
+        before,
+        after,
+        delta,
+        reason: details.reason || 'adjustment',
+        actor_id: details.actorId || null,
+        channel_id: details.sourceChannelId || null,
+        message_id: details.sourceMessageId || null,
+        pending_id: details.pendingId || null,
+        multiplier: details.multiplier || null,
+        weight: details.weight || null
+    }).catch((error) => {
+        console.error(`Failed to dispatch webhooks for guild ${guildId}:`, error);
+    });
 });
+
+async function handleWebhooksConfig(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    switch (subcommand) {
+        case 'add': {
+            const url = parseWebhookUrl(interaction.options.getString('url', true));
+            if (!url) {
+                await interaction.reply({ content: 'The webhook URL must start with http:// or https://.', ephemeral: true });
+                return;
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const refusal = await checkWebhookAddress(url);
+            if (refusal) {
+                await interaction.editReply({ content: `That webhook URL cannot be used: ${refusal}.` });
+                return;
+            }
+            const webhook = await createWebhook(guildId, url, interaction.user.id);
+            await auditConfigChange(interaction, `Webhook #${webhook.id}`, null, url);
+            await interaction.editReply({
+                content: `Webhook #${webhook.id} will receive balance changes at ${url}.\nSigning secret (shown once): \`${webhook.secret}\``
+            });
+            return;
+        }
+        case 'remove': {
+            const id = interaction.options.getInteger('id', true);
+            const previous = (await listWebhooks(guildId)).find((webhook) => webhook.id === id);
+            const removed = await deleteWebhook(guildId, id);
+            if (removed) await auditConfigChange(interaction, `Webhook #${id}`, previous.url, null);
+            await interaction.reply({ content: removed ? `Webhook #${id} removed.` : `There is no webhook #${id}.`, ephemeral: true });
+            return;
+        }
+        case 'list': {
+            const webhooks = await listWebhooks(guildId);
+            const lines = webhooks.map((webhook) => {
+                const last = webhook.last_delivery_at
+                    ? ` • last delivery <t:${toUnixSeconds(webhook.last_delivery_at)}:R>: ${webhook.last_error || `HTTP ${webhook.last_status}`}`
+                    : ' • no deliveries yet';
+                return `\`#${webhook.id}\` ${webhook.url}${last}`;
+            });
+            const embed = new EmbedBuilder()
+                .setColor(0x3498db)
+                .setTitle('Webhooks')
+                .setDescription(lines.length ? lines.join('\n') : '_No webhooks configured. Add one with `/vouchconfig webhooks add`._')
+                .setTimestamp();
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+        case 'test': {
+            const id = interaction.options.getInteger('id', true);
+            const webhook = (await listWebhooks(guildId)).find((entry) => entry.id === id);
+            if (!webhook) {
+                await interaction.reply({ content: `There is no webhook #${id}.`, ephemeral: true });
+                return;
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const delivered = await deliverWebhook(webhook, 'ping', { actor_id: interaction.user.id });
+            const updated = (await listWebhooks(guildId)).find((entry) => entry.id === id);
+            await interaction.editReply({
+                content: delivered
+                    ? `Webhook #${id} answered with HTTP ${updated.last_status}.`
+                    : `Webhook #${id} failed: ${updated.last_error}.`
+            });
+            return;
+        }
+        default:
+            await interaction.reply({ content: 'Unknown webhook option.', ephemeral: true });
+    }
+}
+
+// The database helpers are exported so tests and cli.js can drive them against
+// any DB_PATH without logging in to Discord.
+module.exports = {
+    db,
+    runAsync,
+    getAsync,
+    allAsync,
+    withTransaction,
+    initializeDatabase,
+    readSchemaVersion,
+    LATEST_SCHEMA_VERSION,
+    getSetting,
+    setSetting,
+    deleteSetting,
+    listSettings,
+    getUserPoints,
+    listBalances,
+    listGuildSummaries,
+    listLedgerEntries,
+    LEDGER_REASON_LABELS,
+    changeUserBalance,
+    adjustBalance,
+    mergeUserBalances,
+    recordAuditEvent,
+    awardVouch,
+    createPendingVouch,
+    listPendingVouches,
+    getPendingVouchById,
+    purgePendingVouches,
+    markPendingVouchApproved,
+    claimPendingVouch,
+    awardGroupVouch,
+    splitVouchPoints,
+    pointEvents,
+    startApiServer,
+    createWebhook,
+    signWebhookPayload,
+    checkWebhookAddress,
+    createShopItem,
+    redeemShopItem,
+    deliverRedemption,
+    removeRedeemedRole
+};
+
+if (require.main === module) {
+    if (!DISCORD_TOKEN) {
+        console.error('Missing DISCORD_TOKEN environment variable.');
+        process.exit(1);
+    }
+    checkDatabaseHealthOnStartup()
+        .then(() => initializeDatabase())
+        .then(async () => {
+            if (apiConfig.port === null) return;
+            const server = await startApiServer();
+            console.log(`HTTP API listening on ${apiConfig.host}:${server.address().port}`);
+        })
+        .then(() => client.login(DISCORD_TOKEN))
+        .catch((error) => {
+            console.error('Failed to start the bot:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GUILD_ID, loadBot } = require('./helpers');
+
+const { bot, cleanup } = loadBot();
+
+const TOKEN = 'test-token';
+let server;
+let baseUrl;
+
+function get(pathname, token = TOKEN) {
+    return fetch(`${baseUrl}${pathname}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+before(async () => {
+    await bot.initializeDatabase();
+    server = await bot.startApiServer({ port: 0, host: '127.0.0.1', token: TOKEN });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await bot.awardVouch(GUILD_ID, {
+        channelId: '300000000000000001',
+        messageId: '400000000000000001',
+        voucherId: '200000000000000099',
+        providerId: '200000000000000001',
+        providerName: 'first',
+        content: 'great 5/5'
+    });
+    await bot.changeUserBalance(GUILD_ID, '200000000000000002', 'second', 3);
+    await bot.createPendingVouch({
+        guildId: GUILD_ID,
+        channelId: '300000000000000001',
+        messageId: '400000000000000002',
+        voucherId: '200000000000000098',
+        voucherTag: 'voucher',
+        messageContent: 'thanks!',
+        attachments: [{ url: 'https://cdn.example/a.png', name: 'a.png' }]
+    });
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await cleanup();
+});
+
+test('requests without the right token are refused', async () => {
+    assert.equal((await get(`/api/guilds/${GUILD_ID}/leaderboard`, null)).status, 401);
+    assert.equal((await get(`/api/guilds/${GUILD_ID}/leaderboard`, 'wrong')).status, 401);
+    const response = await fetch(`${baseUrl}/api/guilds/${GUILD_ID}/leaderboard`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}` }
+    });
+    assert.equal(response.status, 405);
+});
+
+test('a user endpoint returns the balance, rank and rating', async () => {
+    const response = await get(`/api/guilds/${GUILD_ID}/users/200000000000000002`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.points, 3);
+    assert.equal(body.rank, 1);
+    assert.deepEqual(body.disputes, { open: 0, upheld: 0 });
+});
+
+test('the leaderboard ranks providers and pages with limit and offset', async () => {
+    const body = await (await get(`/api/guilds/${GUILD_ID}/leaderboard?limit=1&offset=1`)).json();
+    assert.equal(body.total, 2);
+    assert.equal(body.providers.length, 1);
+    assert.equal(body.providers[0].rank, 2);
+    assert.equal(body.providers[0].user_id, '200000000000000001');
+    assert.equal((await get(`/api/guilds/${GUILD_ID}/leaderboard?period=year`)).status, 400);
+});
+
+test('pending vouches and recent awards are listed', async () => {
+    const { pending } = await (await get(`/api/guilds/${GUILD_ID}/pending`)).json();
+    assert.equal(pending.length, 1);
+    assert.equal(pending[0].attachments[0].url, 'https://cdn.example/a.png');
+    assert.match(pending[0].created_at, /^\d{4}-\d{2}-\d{2}T/);
+
+    const { awards } = await (await get(`/api/guilds/${GUILD_ID}/awards?user=200000000000000001`)).json();
+    assert.equal(awards.length, 1);
+    assert.equal(awards[0].message_id, '400000000000000001');
+    assert.equal(awards[0].rating, 5);
+});
+
+test('unknown paths are not found', async () => {
+    assert.equal((await get('/api/guilds/abc/leaderboard')).status, 404);
+    assert.equal((await get(`/api/guilds/${GUILD_ID}/nothing`)).status, 404);
+});
@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GUILD_ID, loadBot } = require('./helpers');
+
+const { bot, cleanup } = loadBot();
+
+const CONCURRENCY = 200;
+
+async function ledgerTotals(userId) {
+    return bot.getAsync(
+        `SELECT COUNT(*) AS entries, COALESCE(SUM(delta), 0) AS total
+         FROM points_ledger WHERE guild_id = ? AND user_id = ?`,
+        [GUILD_ID, userId]
+    );
+}
+
+before(async () => {
+    await bot.initializeDatabase();
+});
+
+after(async () => {
+    await cleanup();
+});
+
+test('concurrent increments are never lost', async () => {
+    const userId = '200000000000000001';
+    const results = await Promise.all(
+        Array.from({ length: CONCURRENCY }, () => bot.changeUserBalance(GUILD_ID, userId, 'racer', 1))
+    );
+
+    assert.equal(await bot.getUserPoints(GUILD_ID, userId), CONCURRENCY);
+    // Every call saw a distinct balance, so none of them read a stale value.
+    assert.equal(new Set(results).size, CONCURRENCY);
+    assert.deepEqual(await ledgerTotals(userId), { entries: CONCURRENCY, total: CONCURRENCY });
+});
+
+test('the ledger matches the balance when concurrent changes hit the zero floor', async () => {
+    const userId = '200000000000000002';
+    await Promise.all(
+        Array.from({ length: CONCURRENCY }, (_, index) =>
+            bot.changeUserBalance(GUILD_ID, userId, null, index % 3 === 0 ? -5 : 2)
+        )
+    );
+
+    const points = await bot.getUserPoints(GUILD_ID, userId);
+    const ledger = await ledgerTotals(userId);
+    assert.ok(points >= 0);
+    assert.equal(ledger.entries, CONCURRENCY);
+    assert.equal(ledger.total, points);
+
+    const broken = await bot.getAsync(
+        `SELECT COUNT(*) AS count FROM points_ledger
+         WHERE guild_id = ? AND user_id = ? AND balance_after <> balance_before + delta`,
+        [GUILD_ID, userId]
+    );
+    assert.equal(broken.count, 0);
+});
+
+test('concurrent awards for different messages all count', async () => {
+    const providerId = '200000000000000003';
+    await Promise.all(
+        Array.from({ length: 50 }, (_, index) =>
+            bot.awardVouch(GUILD_ID, {
+                channelId: '300000000000000001',
+                messageId: `4000000000000${String(index).padStart(5, '0')}`,
+                voucherId: '200000000000000099',
+                providerId,
+                providerName: 'provider',
+                content: 'great service 5/5'
+            })
+        )
+    );
+
+    const vouches = await bot.getAsync(
+        'SELECT COUNT(*) AS count, SUM(points) AS points FROM vouches WHERE guild_id = ? AND provider_id = ?',
+        [GUILD_ID, providerId]
+    );
+    assert.equal(vouches.count, 50);
+    assert.equal(await bot.getUserPoints(GUILD_ID, providerId), vouches.points);
+    assert.equal((await ledgerTotals(providerId)).total, vouches.points);
+});
+
+test('racing approvals of one pending vouch pay out exactly once', async () => {
+    const providerId = '200000000000000004';
+    const pendingId = await bot.createPendingVouch({
+        guildId: GUILD_ID,
+        channelId: '300000000000000001',
+        messageId: '500000000000000001',
+        voucherId: '200000000000000098',
+        voucherTag: 'voucher',
+        messageContent: 'thanks!',
+        attachments: []
+    });
+    const pending = await bot.getPendingVouchById(GUILD_ID, pendingId);
+
+    const results = await Promise.all(
+        Array.from({ length: 20 }, (_, index) =>
+            bot.claimPendingVouch(GUILD_ID, pending, { id: providerId, tag: 'provider', name: 'provider', weight: 1 }, `actor-${index}`)
+        )
+    );
+
+    assert.equal(results.filter((result) => !result.error).length, 1);
+    assert.equal(await bot.getUserPoints(GUILD_ID, providerId), results.find((result) => !result.error).awarded);
+    assert.equal((await ledgerTotals(providerId)).entries, 1);
+    assert.equal((await bot.getPendingVouchById(GUILD_ID, pendingId)).status, 'approved');
+});
+
+test('a failed transaction rolls back its balance change and emits nothing', async () => {
+    const userId = '200000000000000005';
+    await bot.changeUserBalance(GUILD_ID, userId, null, 10);
+
+    const events = [];
+    const listener = (event) => events.push(event);
+    bot.pointEvents.on('balanceChanged', listener);
+    try {
+        await assert.rejects(
+            bot.withTransaction(async () => {
+                await bot.changeUserBalance(GUILD_ID, userId, null, 5);
+                throw new Error('boom');
+            }),
+            /boom/
+        );
+        // Writes from other callers queue behind the transaction instead of joining it.
+        await Promise.all([
+            bot.withTransaction(async () => {
+                await bot.changeUserBalance(GUILD_ID, userId, null, 1);
+                throw new Error('boom again');
+            }).catch(() => {}),
+            bot.changeUserBalance(GUILD_ID, userId, null, 2)
+        ]);
+    } finally {
+        bot.pointEvents.off('balanceChanged', listener);
+    }
+
+    assert.equal(await bot.getUserPoints(GUILD_ID, userId), 12);
+    assert.deepEqual(await ledgerTotals(userId), { entries: 2, total: 12 });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].after, 12);
+});
+
+test('racing redemptions never overspend or oversell', async () => {
+    const userId = '200000000000000006';
+    await bot.changeUserBalance(GUILD_ID, userId, 'shopper', 50);
+    const itemId = await bot.createShopItem(GUILD_ID, { name: 'Perk', kind: 'manual', cost: 10, stock: 3, createdBy: 'admin' });
+
+    const results = await Promise.all(
+        Array.from({ length: 20 }, () => bot.redeemShopItem(GUILD_ID, { id: userId, username: 'shopper' }, itemId, 10))
+    );
+
+    assert.equal(results.filter((result) => !result.error).length, 3);
+    assert.equal(await bot.getUserPoints(GUILD_ID, userId), 20);
+    assert.equal((await bot.getAsync('SELECT stock FROM shop_items WHERE id = ?', [itemId])).stock, 0);
+    assert.equal((await ledgerTotals(userId)).total, 20);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GUILD_ID, loadBot } = require('./helpers');
+
+const { bot, cleanup } = loadBot();
+
+function groupEntry(messageId) {
+    return {
+        channelId: '300000000000000001',
+        messageId,
+        voucherId: '200000000000000099',
+        actorId: '200000000000000099',
+        content: 'thanks both'
+    };
+}
+
+before(async () => {
+    await bot.initializeDatabase();
+    await bot.runAsync(
+        "INSERT INTO settings (guild_id, key, value) VALUES (?, 'multi_provider_mode', 'split')",
+        [GUILD_ID]
+    );
+});
+
+after(async () => {
+    await cleanup();
+});
+
+test('a split vouch between two providers at x1 pays out a single point', async () => {
+    const providers = [
+        { id: '200000000000000011', name: 'first', weight: 1 },
+        { id: '200000000000000012', name: 'second', weight: 1 }
+    ];
+    const { split, awards } = await bot.awardGroupVouch(GUILD_ID, providers, groupEntry('400000000000000011'));
+
+    assert.equal(split, true);
+    assert.deepEqual(awards.map((award) => [award.providerId, award.awarded]), [['200000000000000011', 1]]);
+    assert.equal(await bot.getUserPoints(GUILD_ID, '200000000000000011'), 1);
+    assert.equal(await bot.getUserPoints(GUILD_ID, '200000000000000012'), 0);
+
+    // The provider left with nothing gets no vouch row and no ledger entry.
+    const rows = await bot.allAsync('SELECT provider_id, points FROM vouches WHERE message_id = ?', ['400000000000000011']);
+    assert.deepEqual(rows.map((row) => [row.provider_id, row.points]), [['200000000000000011', 1]]);
+    const ledger = await bot.getAsync(
+        'SELECT COUNT(*) AS count FROM points_ledger WHERE guild_id = ? AND user_id = ?',
+        [GUILD_ID, '200000000000000012']
+    );
+    assert.equal(ledger.count, 0);
+});
+
+test('split shares never add up to more than one vouch and keep role weights', () => {
+    assert.deepEqual(bot.splitVouchPoints([1, 1]), [1, 0]);
+    assert.deepEqual(bot.splitVouchPoints([3, 3]), [2, 1]);
+    assert.deepEqual(bot.splitVouchPoints([1, 1, 1]), [1, 0, 0]);
+    assert.deepEqual(bot.splitVouchPoints([8, 4]), [4, 2]);
+    assert.deepEqual(bot.splitVouchPoints([5, 5, 5]), [2, 2, 1]);
+});
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GUILD_ID = '100000000000000001';
+
+/**
+ * Loads index.js against a scratch database. index.js opens DB_PATH as soon as
+ * it is loaded, so the path is set first. Call `cleanup` from the suite's
+ * `after` hook once everything else using the database has stopped.
+ */
+function loadBot() {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ukeau-test-'));
+    process.env.DB_PATH = path.join(tempDir, 'vouch_points.db');
+    const bot = require('..');
+    return {
+        bot,
+        async cleanup() {
+            await new Promise((resolve) => bot.db.close(resolve));
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { GUILD_ID, loadBot };
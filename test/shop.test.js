@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { GUILD_ID, loadBot } = require('./helpers');
+
+const { bot, cleanup } = loadBot();
+
+const ROLE_ID = '500000000000000001';
+
+// Just enough of a guild for granting and removing a single member's roles.
+function fakeGuild(heldRoleIds) {
+    const held = new Set(heldRoleIds);
+    const removed = [];
+    const member = {
+        id: '200000000000000021',
+        roles: {
+            cache: held,
+            async add(roleId) { held.add(roleId); },
+            async remove(roleId) { held.delete(roleId); removed.push(roleId); }
+        }
+    };
+    return {
+        guild: { id: GUILD_ID, name: 'Test', members: { fetch: async () => member } },
+        held,
+        removed
+    };
+}
+
+before(async () => {
+    await bot.initializeDatabase();
+});
+
+after(async () => {
+    await cleanup();
+});
+
+test('a role the member already holds cannot be bought', async () => {
+    const user = { id: '200000000000000021', username: 'shopper' };
+    await bot.changeUserBalance(GUILD_ID, user.id, user.username, 50);
+    const itemId = await bot.createShopItem(GUILD_ID, { name: 'Supporter', kind: 'role', roleId: ROLE_ID, cost: 10, createdBy: 'admin' });
+
+    const result = await bot.redeemShopItem(GUILD_ID, user, itemId, 10, { heldRoleIds: [ROLE_ID] });
+
+    assert.match(result.error, /already have/);
+    assert.equal(await bot.getUserPoints(GUILD_ID, user.id), 50);
+});
+
+test('expiry only takes back a role the shop added', async () => {
+    const user = { id: '200000000000000022', username: 'shopper' };
+    await bot.changeUserBalance(GUILD_ID, user.id, user.username, 50);
+    const itemId = await bot.createShopItem(GUILD_ID, { name: 'VIP', kind: 'role', roleId: ROLE_ID, durationDays: 7, cost: 10, createdBy: 'admin' });
+
+    // The role was handed out by staff between the purchase and the grant.
+    const staffGranted = fakeGuild([ROLE_ID]);
+    const first = await bot.redeemShopItem(GUILD_ID, user, itemId, 10);
+    await bot.deliverRedemption(staffGranted.guild, user, first);
+    const kept = await bot.getAsync('SELECT * FROM redemptions WHERE id = ?', [first.redemption.id]);
+    assert.equal(kept.role_added, 0);
+    await bot.removeRedeemedRole(staffGranted.guild, kept, 'test');
+    assert.deepEqual(staffGranted.removed, []);
+
+    await bot.runAsync("UPDATE redemptions SET status = 'expired' WHERE id = ?", [kept.id]);
+    const granted = fakeGuild([]);
+    const second = await bot.redeemShopItem(GUILD_ID, user, itemId, 10);
+    await bot.deliverRedemption(granted.guild, user, second);
+    const ours = await bot.getAsync('SELECT * FROM redemptions WHERE id = ?', [second.redemption.id]);
+    assert.equal(ours.role_added, 1);
+    await bot.removeRedeemedRole(granted.guild, ours, 'test');
+    assert.deepEqual(granted.removed, [ROLE_ID]);
+});
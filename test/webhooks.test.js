@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { GUILD_ID, loadBot } = require('./helpers');
+
+// The stand-in receivers run on this machine, which webhooks may only reach
+// through an allowed host name.
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+const { bot, cleanup } = loadBot();
+
+let receiver;
+let received = [];
+let waiters = [];
+
+// Stand-in for a website that accepts webhook deliveries.
+function startReceiver() {
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => { body += chunk; });
+        request.on('end', () => {
+            received.push({ headers: request.headers, body });
+            response.writeHead(204).end();
+            waiters = waiters.filter((waiter) => !waiter());
+        });
+    });
+    return new Promise((resolve) => server.listen(0, 'localhost', () => resolve(server)));
+}
+
+function waitForDeliveries(count) {
+    return new Promise((resolve) => {
+        const check = () => received.length >= count && (resolve(received.slice(0, count)), true);
+        if (!check()) waiters.push(check);
+    });
+}
+
+before(async () => {
+    await bot.initializeDatabase();
+    receiver = await startReceiver();
+});
+
+after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await cleanup();
+});
+
+test('balance changes are posted as signed JSON', async () => {
+    const { secret } = await bot.createWebhook(GUILD_ID, `http://localhost:${receiver.address().port}/hook`, 'admin');
+    received = [];
+
+    await bot.awardVouch(GUILD_ID, {
+        channelId: '300000000000000001',
+        messageId: '400000000000000001',
+        voucherId: '200000000000000099',
+        providerId: '200000000000000001',
+        providerName: 'provider',
+        content: 'thanks'
+    });
+    const [delivery] = await waitForDeliveries(1);
+
+    const timestamp = delivery.headers['x-vouch-timestamp'];
+    assert.equal(delivery.headers['x-vouch-event'], 'balance.changed');
+    assert.equal(delivery.headers['x-vouch-signature'], bot.signWebhookPayload(secret, timestamp, delivery.body));
+    assert.notEqual(delivery.headers['x-vouch-signature'], bot.signWebhookPayload('other-secret', timestamp, delivery.body));
+
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, 'balance.changed');
+    assert.equal(payload.guild_id, GUILD_ID);
+    assert.equal(payload.data.user_id, '200000000000000001');
+    assert.equal(payload.data.reason, 'vouch');
+    assert.equal(payload.data.message_id, '400000000000000001');
+    assert.equal(payload.data.after, payload.data.before + payload.data.delta);
+});
+
+test('rolled back changes are never delivered', async () => {
+    received = [];
+    await assert.rejects(
+        bot.withTransaction(async () => {
+            await bot.changeUserBalance(GUILD_ID, '200000000000000002', null, 5);
+            throw new Error('boom');
+        })
+    );
+    await bot.changeUserBalance(GUILD_ID, '200000000000000002', null, 2);
+
+    const [delivery] = await waitForDeliveries(1);
+    assert.equal(JSON.parse(delivery.body).data.after, 2);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(received.length, 1);
+});
+
+test('other guilds do not receive the event', async () => {
+    received = [];
+    await bot.changeUserBalance('100000000000000002', '200000000000000003', null, 1);
+    await bot.changeUserBalance(GUILD_ID, '200000000000000003', null, 4);
+    const [delivery] = await waitForDeliveries(1);
+    assert.equal(JSON.parse(delivery.body).data.delta, 4);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(received.length, 1);
+});
+
+test('a burst of changes is delivered a few requests at a time', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    let count = 0;
+    const slow = http.createServer((request, response) => {
+        inFlight += 1;
+        mostInFlight = Math.max(mostInFlight, inFlight);
+        request.resume();
+        setTimeout(() => {
+            inFlight -= 1;
+            count += 1;
+            response.writeHead(204).end();
+        }, 20);
+    });
+    await new Promise((resolve) => slow.listen(0, 'localhost', resolve));
+    const guildId = '100000000000000003';
+    await bot.createWebhook(guildId, `http://localhost:${slow.address().port}/hook`, 'admin');
+
+    try {
+        await Promise.all(
+            Array.from({ length: 20 }, (_, index) => bot.changeUserBalance(guildId, `2000000000000001${String(index).padStart(2, '0')}`, null, 1))
+        );
+        while (count < 20) await new Promise((resolve) => setTimeout(resolve, 20));
+    } finally {
+        await new Promise((resolve) => slow.close(resolve));
+    }
+    assert.ok(mostInFlight <= 2, `${mostInFlight} requests were in flight at once`);
+});
+
+test('webhooks to local and private addresses are refused', async () => {
+    const port = receiver.address().port;
+    for (const url of [`http://127.0.0.1:${port}/hook`, 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://10.1.2.3/hook']) {
+        assert.match(await bot.checkWebhookAddress(url), /local or private address/, url);
+    }
+    assert.equal(await bot.checkWebhookAddress(`http://localhost:${port}/hook`), null);
+
+    const guildId = '100000000000000004';
+    await bot.createWebhook(guildId, `http://127.0.0.1:${port}/hook`, 'admin');
+    received = [];
+    await bot.changeUserBalance(guildId, '200000000000000004', null, 1);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(received.length, 0);
+    const [webhook] = await bot.allAsync('SELECT last_error FROM webhooks WHERE guild_id = ?', [guildId]);
+    assert.match(webhook.last_error, /local or private address/);
+});